@@ -0,0 +1,140 @@
+import { can, canSetState, DEFAULT_ROLE, getRoleLabel } from './permissions.js';
+
+/**
+ * Inicio de sesión con Firebase Auth y rol del usuario actual.
+ * Con los backends local y en memoria no hay cuentas: se actúa como administrador.
+ */
+export class AuthManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.auth = null;
+        this.user = null;
+        this.role = 'admin';
+        this.initializeEventListeners();
+    }
+
+    // La autenticación se usa con Firebase salvo que la configuración la desactive ("auth": false,
+    // que loadAppConfig solo admite con el emulador)
+    get isEnabled() {
+        const config = this.songManager.config;
+        return (config.backend || 'firebase') === 'firebase' && config.auth !== false;
+    }
+
+    initializeEventListeners() {
+        document.getElementById('signInForm').addEventListener('submit', (e) => this.handleSignIn(e));
+    }
+
+    // Esperar a que haya un usuario con sesión iniciada y cargar su rol
+    async initialize() {
+        if (!this.isEnabled) {
+            return null;
+        }
+
+        this.auth = firebase.auth();
+        const emulator = this.songManager.config.emulator;
+        if (emulator) {
+            this.auth.useEmulator(`http://${emulator.host}:${emulator.authPort}`);
+        }
+
+        this.user = await this.waitForSignIn();
+
+        try {
+            const profile = await this.songManager.repository.getUserProfile(this.user.uid);
+            this.role = profile?.role || DEFAULT_ROLE;
+        } catch (error) {
+            console.error('Error cargando el rol del usuario:', error);
+            this.role = DEFAULT_ROLE;
+        }
+
+        // Al cerrar sesión (en esta u otra pestaña) se recarga para no dejar datos a la vista
+        this.auth.onAuthStateChanged(user => {
+            if (!user) {
+                window.location.reload();
+            }
+        });
+
+        return this.user;
+    }
+
+    waitForSignIn() {
+        return new Promise((resolve) => {
+            const unsubscribe = this.auth.onAuthStateChanged(user => {
+                if (user) {
+                    unsubscribe();
+                    this.hideSignIn();
+                    resolve(user);
+                } else {
+                    this.showSignIn();
+                }
+            });
+        });
+    }
+
+    showSignIn() {
+        this.songManager.hideTableLoading();
+        document.getElementById('signInError').classList.add('hidden');
+        document.getElementById('signInModal').classList.remove('hidden');
+    }
+
+    hideSignIn() {
+        document.getElementById('signInModal').classList.add('hidden');
+        this.songManager.showTableLoading();
+    }
+
+    async handleSignIn(e) {
+        e.preventDefault();
+
+        const email = document.getElementById('signInEmail').value.trim();
+        const password = document.getElementById('signInPassword').value;
+        const errorElement = document.getElementById('signInError');
+
+        this.songManager.showButtonLoading('signInBtn', 'signInText', 'signInSpinner');
+        errorElement.classList.add('hidden');
+
+        try {
+            await this.auth.signInWithEmailAndPassword(email, password);
+            document.getElementById('signInForm').reset();
+        } catch (error) {
+            console.error('Error iniciando sesión:', error);
+            errorElement.textContent = this.getErrorMessage(error);
+            errorElement.classList.remove('hidden');
+        } finally {
+            this.songManager.hideButtonLoading('signInBtn', 'signInText', 'signInSpinner');
+        }
+    }
+
+    getErrorMessage(error) {
+        const messages = {
+            'auth/invalid-email': 'El correo no es válido',
+            'auth/user-disabled': 'La cuenta está deshabilitada',
+            'auth/user-not-found': 'Correo o contraseña incorrectos',
+            'auth/wrong-password': 'Correo o contraseña incorrectos',
+            'auth/invalid-login-credentials': 'Correo o contraseña incorrectos',
+            'auth/too-many-requests': 'Demasiados intentos. Espera unos minutos e inténtalo de nuevo',
+            'auth/network-request-failed': 'No hay conexión con el servidor de autenticación'
+        };
+        return messages[error.code] || 'No se pudo iniciar sesión: ' + error.message;
+    }
+
+    async signOut() {
+        if (this.auth) {
+            await this.auth.signOut();
+        }
+    }
+
+    get displayName() {
+        return this.user ? (this.user.displayName || this.user.email) : null;
+    }
+
+    get roleLabel() {
+        return getRoleLabel(this.role);
+    }
+
+    can(permission) {
+        return can(this.role, permission);
+    }
+
+    canSetState(state, previousState = null) {
+        return canSetState(this.role, state, previousState);
+    }
+}
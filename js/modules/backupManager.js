@@ -0,0 +1,273 @@
+import { SONG_STATES, SONG_TYPES, toDate } from './songFields.js';
+
+export const BACKUP_FORMAT = 'gestion-canciones-backup';
+export const BACKUP_VERSION = 2;
+
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt', 'trashedAt'];
+const TEXT_FIELDS = [
+    'artistName', 'songName', 'youtubeLink', 'state', 'type', 'comments',
+    'createdBy', 'updatedBy', 'trashedBy', 'createdByUid', 'updatedByUid'
+];
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * La copia de seguridad no tiene el formato esperado. errors enumera los problemas encontrados.
+ */
+export class BackupError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'BackupError';
+        this.errors = errors;
+    }
+}
+
+// Migraciones de cada versión a la siguiente
+const MIGRATIONS = {
+    // v1: formato del antiguo StorageManager.exportData ({ songs, exportDate, version: '1.0' }), sin timestamps
+    1: (data) => ({
+        format: BACKUP_FORMAT,
+        version: 2,
+        exportedAt: data.exportDate || null,
+        exportedBy: null,
+        songs: data.songs.map(song => ({
+            youtubeLink: '',
+            comments: '',
+            state: 'Por aprobar',
+            type: 'Lento',
+            createdAt: null,
+            updatedAt: null,
+            ...song
+        }))
+    })
+};
+
+/**
+ * Construir la copia de seguridad con todas las canciones (también las de la papelera).
+ * Los timestamps se guardan como cadenas ISO.
+ */
+export function createBackup(songs, { exportedBy = null, backend = null } = {}) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy,
+        backend,
+        songs: songs.map(serializeSong)
+    };
+}
+
+function serializeSong(song) {
+    const serialized = { id: song.id };
+    TEXT_FIELDS.forEach(field => {
+        if (song[field] !== undefined && song[field] !== null) {
+            serialized[field] = String(song[field]);
+        }
+    });
+    TIMESTAMP_FIELDS.forEach(field => {
+        const date = toDate(song[field]);
+        serialized[field] = date ? date.toISOString() : null;
+    });
+    return serialized;
+}
+
+function detectVersion(data) {
+    if (data.format === BACKUP_FORMAT) {
+        return data.version;
+    }
+    // Las copias antiguas no tenían "format" y su versión era la cadena '1.0'
+    if (Array.isArray(data.songs) && (data.version === undefined || data.version === '1.0')) {
+        return 1;
+    }
+    return null;
+}
+
+/**
+ * Llevar una copia de seguridad de cualquier versión conocida a la actual y validarla.
+ * @param {Object} data - JSON leído del archivo
+ * @returns {{backup: Object, migratedFrom: number|null}}
+ * @throws {BackupError}
+ */
+export function readBackup(data) {
+    if (!data || typeof data !== 'object') {
+        throw new BackupError('El archivo no contiene una copia de seguridad.');
+    }
+
+    const version = detectVersion(data);
+    if (!Number.isInteger(version)) {
+        throw new BackupError('El archivo no es una copia de seguridad de Gestión de Canciones.');
+    }
+    if (version > BACKUP_VERSION) {
+        throw new BackupError(`La copia es de la versión ${version}, más nueva que la que admite esta aplicación (${BACKUP_VERSION}). Actualiza la aplicación.`);
+    }
+
+    let backup = data;
+    for (let current = version; current < BACKUP_VERSION; current++) {
+        backup = MIGRATIONS[current](backup);
+    }
+
+    validateBackup(backup);
+    return { backup, migratedFrom: version < BACKUP_VERSION ? version : null };
+}
+
+function validateBackup(backup) {
+    if (!Array.isArray(backup.songs)) {
+        throw new BackupError('La copia de seguridad no tiene lista de canciones.');
+    }
+
+    const errors = [];
+    const ids = new Set();
+    backup.songs.forEach((song, index) => {
+        const where = `Canción ${index + 1}`;
+        if (!song || typeof song !== 'object') {
+            errors.push(`${where}: no es un objeto`);
+            return;
+        }
+        if (typeof song.id !== 'string' || !song.id) {
+            errors.push(`${where}: falta el ID`);
+        } else if (ids.has(song.id)) {
+            errors.push(`${where}: el ID "${song.id}" está repetido`);
+        } else {
+            ids.add(song.id);
+        }
+        if (typeof song.artistName !== 'string' || !song.artistName.trim()) errors.push(`${where}: falta el artista`);
+        if (typeof song.songName !== 'string' || !song.songName.trim()) errors.push(`${where}: falta el nombre`);
+        if (!SONG_STATES.includes(song.state)) errors.push(`${where}: estado desconocido "${song.state}"`);
+        if (!SONG_TYPES.includes(song.type)) errors.push(`${where}: tipo desconocido "${song.type}"`);
+        TEXT_FIELDS.forEach(field => {
+            if (song[field] !== undefined && song[field] !== null && typeof song[field] !== 'string') {
+                errors.push(`${where}: "${field}" debe ser texto`);
+            }
+        });
+        TIMESTAMP_FIELDS.forEach(field => {
+            if (song[field] !== undefined && song[field] !== null && !toDate(song[field])) {
+                errors.push(`${where}: "${field}" no es una fecha válida`);
+            }
+        });
+    });
+
+    if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+        if (errors.length > shown.length) {
+            shown.push(`… y ${errors.length - shown.length} problemas más`);
+        }
+        throw new BackupError('La copia de seguridad no es válida.', shown);
+    }
+}
+
+/**
+ * Copia de seguridad completa de la biblioteca (JSON versionado) y su restauración.
+ */
+export class BackupManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.pendingBackup = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('backupBtn').addEventListener('click', () => this.showBackup());
+        document.getElementById('backupCloseBtn').addEventListener('click', () => this.hideBackup());
+        document.getElementById('backupDownloadBtn').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('backupFileInput').addEventListener('change', (e) => this.handleFile(e.target));
+        document.getElementById('backupRestoreBtn').addEventListener('click', () => this.restore());
+    }
+
+    get librarySongs() {
+        return [...this.songManager.songs, ...this.songManager.trashedSongs];
+    }
+
+    showBackup() {
+        document.getElementById('backupSongCount').textContent = this.librarySongs.length;
+        document.getElementById('backupRestoreSection').classList.toggle('hidden', !this.songManager.can('library:restore'));
+        this.resetRestore();
+        document.getElementById('backupModal').classList.remove('hidden');
+    }
+
+    hideBackup() {
+        document.getElementById('backupModal').classList.add('hidden');
+        this.resetRestore();
+    }
+
+    resetRestore() {
+        this.pendingBackup = null;
+        document.getElementById('backupFileInput').value = '';
+        document.getElementById('backupRestoreSummary').textContent = '';
+        document.getElementById('backupRestoreError').classList.add('hidden');
+        document.getElementById('backupRestoreOptions').classList.add('hidden');
+    }
+
+    downloadBackup() {
+        const backup = createBackup(this.librarySongs, {
+            exportedBy: this.songManager.repository.actor,
+            backend: this.songManager.config.backend || 'firebase'
+        });
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        this.songManager.downloadFile(blob, `copia_canciones_${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    async handleFile(fileInput) {
+        const file = fileInput.files[0];
+        const errorElement = document.getElementById('backupRestoreError');
+        this.pendingBackup = null;
+        errorElement.classList.add('hidden');
+        document.getElementById('backupRestoreOptions').classList.add('hidden');
+        document.getElementById('backupRestoreSummary').textContent = '';
+        if (!file) return;
+
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new BackupError('El archivo no es JSON válido.');
+            }
+
+            const { backup, migratedFrom } = readBackup(data);
+            this.pendingBackup = backup;
+
+            const exportedAt = toDate(backup.exportedAt);
+            const trashed = backup.songs.filter(song => song.trashedAt).length;
+            document.getElementById('backupRestoreSummary').textContent =
+                `${backup.songs.length} canciones (${trashed} en la papelera)` +
+                (exportedAt ? `, copia del ${exportedAt.toLocaleString('es-ES')}` : '') +
+                (backup.exportedBy ? ` por ${backup.exportedBy}` : '') +
+                (migratedFrom ? `. Convertida desde el formato de la versión ${migratedFrom}.` : '.');
+            document.getElementById('backupRestoreOptions').classList.remove('hidden');
+        } catch (error) {
+            const details = error.errors && error.errors.length > 0 ? '\n' + error.errors.join('\n') : '';
+            errorElement.textContent = error.message + details;
+            errorElement.classList.remove('hidden');
+        }
+    }
+
+    async restore() {
+        if (!this.pendingBackup || !this.songManager.can('library:restore')) return;
+
+        // La restauración escribe directamente en el repositorio: no puede mezclarse con la cola sin conexión
+        if (!navigator.onLine || this.songManager.offlineQueue.hasPendingItems) {
+            alert('Para restaurar una copia hace falta conexión y que no haya cambios pendientes de enviar.');
+            return;
+        }
+
+        const replace = document.querySelector('input[name="backupRestoreMode"]:checked')?.value === 'replace';
+        const message = replace
+            ? `Se reemplazará toda la biblioteca por las ${this.pendingBackup.songs.length} canciones de la copia. ` +
+              'Las canciones que no estén en la copia se eliminarán definitivamente. ¿Continuar?'
+            : 'Se agregarán las canciones que faltan y se actualizarán las que en la copia sean más recientes. ¿Continuar?';
+        if (!confirm(message)) return;
+
+        this.songManager.showButtonLoading('backupRestoreBtn', 'backupRestoreText', 'backupRestoreSpinner');
+        try {
+            const result = await this.songManager.repository.restoreBackup(this.pendingBackup.songs, { replace });
+            await this.songManager.reloadSongs();
+            this.hideBackup();
+            alert(`Copia restaurada.\nAgregadas: ${result.added}\nActualizadas: ${result.updated}\nEliminadas: ${result.removed}`);
+        } catch (error) {
+            console.error('Error restaurando la copia de seguridad:', error);
+            alert('Error restaurando la copia de seguridad: ' + error.message);
+            await this.songManager.reloadSongs();
+        } finally {
+            this.songManager.hideButtonLoading('backupRestoreBtn', 'backupRestoreText', 'backupRestoreSpinner');
+        }
+    }
+}
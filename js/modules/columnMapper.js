@@ -0,0 +1,202 @@
+import { ValidationUtils } from '../utils/index.js';
+import { SONG_FIELDS, getFieldLabel, normalizeText } from './songFields.js';
+
+const PROFILES_KEY = 'importProfiles';
+
+// Campos que se pueden leer del archivo: el ID permite actualizar canciones ya exportadas
+export const IMPORT_FIELDS = [{ key: 'id', label: 'ID' }, ...SONG_FIELDS];
+
+// Nombres de columna habituales para cada campo, ya normalizados (minúsculas y sin acentos)
+const FIELD_ALIASES = {
+    id: ['id', 'identificador'],
+    songName: ['nombre', 'cancion', 'titulo', 'tema', 'song', 'song name', 'title', 'track', 'track name', 'name'],
+    artistName: ['artista', 'artistas', 'interprete', 'banda', 'grupo', 'artist', 'artists', 'artist name', 'band'],
+    youtubeLink: ['youtube', 'link', 'enlace', 'url', 'video', 'youtube link'],
+    state: ['estado', 'state', 'status'],
+    type: ['tipo', 'ritmo', 'type'],
+    comments: ['comentarios', 'comentario', 'notas', 'observaciones', 'comments', 'comment', 'notes']
+};
+
+// Campos sin los que una fila no se puede importar
+export const REQUIRED_FIELDS = ['songName', 'artistName'];
+
+export function normalizeHeader(header) {
+    return normalizeText(String(header || '').replace(/_/g, ' '));
+}
+
+/**
+ * Asociar cada campo de canción con la columna cuya cabecera coincide con alguno de sus alias.
+ * @param {string[]} headers
+ * @returns {Object} { campo: índice de columna o null }
+ */
+export function autoMapColumns(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+
+    return IMPORT_FIELDS.reduce((mapping, { key }) => {
+        const index = normalized.findIndex((header, i) => !used.has(i) && FIELD_ALIASES[key].includes(header));
+        mapping[key] = index === -1 ? null : index;
+        if (index !== -1) used.add(index);
+        return mapping;
+    }, {});
+}
+
+/**
+ * Paso de importación para revisar qué columna del CSV va a cada campo.
+ * Las asociaciones se pueden guardar como perfiles (por nombre de cabecera) para reutilizarlas.
+ */
+export class ColumnMapper {
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveProfile(name, headers, mapping) {
+        const columns = Object.fromEntries(Object.entries(mapping)
+            .filter(([, index]) => index !== null)
+            .map(([field, index]) => [field, headers[index]]));
+        const profiles = this.getProfiles().filter(profile => profile.name !== name);
+        profiles.push({ name, columns });
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    }
+
+    deleteProfile(name) {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(this.getProfiles().filter(profile => profile.name !== name)));
+    }
+
+    // Traducir un perfil a índices de columna; los campos cuya cabecera no está quedan sin asociar
+    applyProfile(profile, headers) {
+        const normalized = headers.map(normalizeHeader);
+        return IMPORT_FIELDS.reduce((mapping, { key }) => {
+            const index = profile.columns[key] ? normalized.indexOf(normalizeHeader(profile.columns[key])) : -1;
+            mapping[key] = index === -1 ? null : index;
+            return mapping;
+        }, {});
+    }
+
+    // Perfil que asocia todos sus campos con columnas presentes en el archivo
+    findMatchingProfile(headers) {
+        const normalized = headers.map(normalizeHeader);
+        return this.getProfiles().find(profile => {
+            const columns = Object.values(profile.columns);
+            return columns.length > 0 && columns.every(column => normalized.includes(normalizeHeader(column)));
+        }) || null;
+    }
+
+    /**
+     * Mostrar el asistente de asociación de columnas.
+     * @param {string[]} headers - Cabecera del CSV
+     * @param {string[]} sample - Primera fila de datos, para mostrar un ejemplo de cada columna
+     * @returns {Promise<Object|null>} { campo: índice o null }, o null si se cancela
+     */
+    showWizard(headers, sample = []) {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('mappingModal');
+            const fields = document.getElementById('mappingFields');
+            const profileSelect = document.getElementById('mappingProfile');
+            const profileName = document.getElementById('mappingProfileName');
+            const saveProfileBtn = document.getElementById('mappingSaveProfileBtn');
+            const deleteProfileBtn = document.getElementById('mappingDeleteProfileBtn');
+            const confirmBtn = document.getElementById('mappingConfirmBtn');
+            const cancelBtn = document.getElementById('mappingCancelBtn');
+            const error = document.getElementById('mappingError');
+
+            const renderProfiles = (selected = '') => {
+                profileSelect.innerHTML = '<option value="">Detección automática</option>' +
+                    this.getProfiles().map((profile, index) =>
+                        `<option value="${index}" ${profile.name === selected ? 'selected' : ''}>${ValidationUtils.escapeHtml(profile.name)}</option>`
+                    ).join('');
+                deleteProfileBtn.classList.toggle('hidden', !selected);
+            };
+
+            const renderMapping = (mapping) => {
+                const options = headers.map((header, index) => {
+                    const example = sample[index] ? ` (p. ej. "${sample[index].slice(0, 30)}")` : '';
+                    return { index, label: ValidationUtils.escapeHtml(`${header || `Columna ${index + 1}`}${example}`) };
+                });
+
+                fields.innerHTML = IMPORT_FIELDS.map(({ key, label }) => `
+                    <div class="flex items-center justify-between mb-3">
+                        <label for="mapping-${key}" class="text-sm font-medium text-gray-700 w-1/3">
+                            ${label}${REQUIRED_FIELDS.includes(key) ? ' *' : ''}
+                        </label>
+                        <select id="mapping-${key}" data-field="${key}" class="w-2/3 px-3 py-2 border border-gray-300 rounded-md text-sm">
+                            <option value="">— No importar —</option>
+                            ${options.map(option => `<option value="${option.index}" ${mapping[key] === option.index ? 'selected' : ''}>${option.label}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('');
+            };
+
+            const readMapping = () => Object.fromEntries(
+                [...fields.querySelectorAll('select[data-field]')].map(select => [
+                    select.getAttribute('data-field'),
+                    select.value === '' ? null : parseInt(select.value, 10)
+                ])
+            );
+
+            const profile = this.findMatchingProfile(headers);
+            renderProfiles(profile ? profile.name : '');
+            renderMapping(profile ? this.applyProfile(profile, headers) : autoMapColumns(headers));
+            profileName.value = profile ? profile.name : '';
+            error.classList.add('hidden');
+            modal.classList.remove('hidden');
+
+            // Las opciones usan el índice del perfil como valor
+            const selectedProfile = () => profileSelect.value === '' ? null : this.getProfiles()[parseInt(profileSelect.value, 10)];
+
+            const onProfileChange = () => {
+                const selected = selectedProfile();
+                renderMapping(selected ? this.applyProfile(selected, headers) : autoMapColumns(headers));
+                profileName.value = selected ? selected.name : '';
+                deleteProfileBtn.classList.toggle('hidden', !selected);
+            };
+            const onSaveProfile = () => {
+                const name = profileName.value.trim();
+                if (!name) {
+                    profileName.focus();
+                    return;
+                }
+                this.saveProfile(name, headers, readMapping());
+                renderProfiles(name);
+            };
+            const onDeleteProfile = () => {
+                const selected = selectedProfile();
+                if (selected && confirm(`¿Eliminar el perfil de importación "${selected.name}"?`)) {
+                    this.deleteProfile(selected.name);
+                    renderProfiles();
+                    profileName.value = '';
+                }
+            };
+            const close = (mapping) => {
+                modal.classList.add('hidden');
+                profileSelect.removeEventListener('change', onProfileChange);
+                saveProfileBtn.removeEventListener('click', onSaveProfile);
+                deleteProfileBtn.removeEventListener('click', onDeleteProfile);
+                confirmBtn.removeEventListener('click', onConfirm);
+                cancelBtn.removeEventListener('click', onCancel);
+                resolve(mapping);
+            };
+            const onConfirm = () => {
+                const mapping = readMapping();
+                const missing = REQUIRED_FIELDS.filter(key => mapping[key] === null);
+                if (missing.length > 0) {
+                    error.textContent = 'Falta asociar: ' + missing.map(getFieldLabel).join(', ');
+                    error.classList.remove('hidden');
+                    return;
+                }
+                close(mapping);
+            };
+            const onCancel = () => close(null);
+
+            profileSelect.addEventListener('change', onProfileChange);
+            saveProfileBtn.addEventListener('click', onSaveProfile);
+            deleteProfileBtn.addEventListener('click', onDeleteProfile);
+            confirmBtn.addEventListener('click', onConfirm);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+}
@@ -0,0 +1,133 @@
+const DEFAULT_CONFIG_URL = 'config.json';
+
+// Puertos por defecto de Firebase Local Emulator Suite
+const EMULATOR_DEFAULTS = {
+    host: 'localhost',
+    firestorePort: 8080,
+    authPort: 9099
+};
+
+// Los proyectos "demo-*" solo existen en el emulador y no necesitan credenciales reales
+const EMULATOR_PROJECT = {
+    apiKey: 'demo-api-key',
+    authDomain: 'demo-gestion-canciones.firebaseapp.com',
+    projectId: 'demo-gestion-canciones'
+};
+
+/**
+ * Error de configuración que impide arrancar la aplicación.
+ * hint explica al usuario cómo resolverlo.
+ */
+export class ConfigError extends Error {
+    constructor(message, hint = '') {
+        super(message);
+        this.name = 'ConfigError';
+        this.hint = hint;
+    }
+}
+
+export const CONFIG_HINT = 'Crea config.json a partir de config.example.json, indica otro archivo con ?config=archivo.json ' +
+    'o abre la aplicación con ?emulator=1 para usar el emulador local de Firebase.';
+
+/**
+ * Cargar la configuración de la aplicación.
+ * Orden de prioridad: parámetros de la URL, window.APP_CONFIG y el archivo de configuración
+ * (config.json o el indicado con ?config=).
+ * @returns {Promise<Object>} Configuración final (también queda en window.APP_CONFIG)
+ */
+export async function loadAppConfig(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    const configUrl = resolveConfigUrl(params.get('config') || DEFAULT_CONFIG_URL, location);
+
+    // El archivo por defecto es opcional (p. ej. backend local), el indicado por URL no
+    const fileConfig = await fetchConfigFile(configUrl, { required: params.has('config') });
+    const config = { backend: 'firebase', ...fileConfig, ...(window.APP_CONFIG || {}) };
+
+    if (params.get('backend')) {
+        config.backend = params.get('backend');
+    }
+    if (params.has('emulator')) {
+        config.emulator = params.get('emulator') || true;
+    }
+    // ?emulator=0 y ?emulator=false lo desactivan, aunque el archivo lo active
+    if (['0', 'false'].includes(String(config.emulator))) {
+        config.emulator = false;
+    }
+
+    if (config.emulator) {
+        config.emulator = normalizeEmulatorConfig(config.emulator);
+        // El proyecto demo va al final: el emulador nunca debe usar el proyecto de producción del archivo
+        config.firebase = { ...(config.firebase || {}), ...EMULATOR_PROJECT };
+    }
+
+    if (config.backend === 'firebase' && !config.firebase?.projectId) {
+        throw new ConfigError('Falta la configuración de Firebase.', CONFIG_HINT);
+    }
+    // Sin sesión todos actúan como administradores, pero las reglas de Firestore exigen un usuario
+    // con rol: contra un proyecto real cada escritura se rechazaría
+    if (config.backend === 'firebase' && config.auth === false && !config.emulator) {
+        throw new ConfigError(
+            'La opción "auth": false no se puede usar con Firebase.',
+            'Quita "auth": false de la configuración, usa el emulador (?emulator=1) o un backend local (?backend=local).'
+        );
+    }
+
+    window.APP_CONFIG = config;
+    return config;
+}
+
+// Solo rutas relativas del mismo sitio: un enlace con ?config=https://... podría llevar la aplicación
+// a un proyecto de Firebase ajeno y hacer que los usuarios le entreguen sus credenciales
+function resolveConfigUrl(path, location) {
+    const hasScheme = /^\s*[a-z][a-z\d+.-]*:/i.test(path);
+    const isProtocolRelative = /^\s*[\\/]{2}/.test(path);
+    const url = new URL(path, location.href);
+
+    if (hasScheme || isProtocolRelative || url.origin !== location.origin) {
+        throw new ConfigError(
+            `El archivo de configuración "${path}" no es válido.`,
+            'Con ?config= solo se puede indicar una ruta relativa dentro de este mismo sitio, p. ej. ?config=config.prueba.json.'
+        );
+    }
+    return url.href;
+}
+
+async function fetchConfigFile(url, { required }) {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-store' });
+    } catch (error) {
+        if (!required) return {};
+        throw new ConfigError(`No se pudo leer el archivo de configuración "${url}".`, CONFIG_HINT);
+    }
+
+    if (!response.ok) {
+        if (!required && response.status === 404) return {};
+        throw new ConfigError(`No se pudo leer el archivo de configuración "${url}" (HTTP ${response.status}).`, CONFIG_HINT);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new ConfigError(`El archivo de configuración "${url}" no es JSON válido.`, error.message);
+    }
+}
+
+// Aceptar true, "1", "host", "host:puerto" o un objeto { host, firestorePort, authPort }
+function normalizeEmulatorConfig(value) {
+    if (typeof value === 'object') {
+        return { ...EMULATOR_DEFAULTS, ...value };
+    }
+
+    const text = String(value);
+    if (text === 'true' || text === '1') {
+        return { ...EMULATOR_DEFAULTS };
+    }
+
+    const [host, port] = text.split(':');
+    return {
+        ...EMULATOR_DEFAULTS,
+        host: host || EMULATOR_DEFAULTS.host,
+        firestorePort: port ? parseInt(port, 10) : EMULATOR_DEFAULTS.firestorePort
+    };
+}
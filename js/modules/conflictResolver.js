@@ -0,0 +1,96 @@
+import { ValidationUtils } from '../utils/index.js';
+import { SONG_FIELDS, pickSongFields } from './songFields.js';
+
+/**
+ * Diálogo para combinar, campo a campo, una edición propia con la versión que otra
+ * persona guardó mientras tanto.
+ */
+export class ConflictResolver {
+    constructor(songManager) {
+        this.songManager = songManager;
+    }
+
+    /**
+     * Elegir por cada campo distinto entre "suyo" y "mío".
+     * Por defecto se conserva el lado que cambió respecto a la versión original;
+     * si cambiaron ambos, se propone el mío.
+     * @param {Object} base - Versión en la que se basó la edición
+     * @param {Object} mine - Campos tal como los dejó el usuario
+     * @param {Object} theirs - Versión actual del servidor
+     * @returns {Promise<Object|null>} Campos combinados, o null si se descarta la edición
+     */
+    resolve(base, mine, theirs) {
+        const original = pickSongFields(base);
+        const own = pickSongFields(mine);
+        const server = pickSongFields(theirs);
+        const conflicts = SONG_FIELDS.filter(({ key }) => own[key] !== server[key]);
+
+        // Los cambios coinciden: no hay nada que decidir
+        if (conflicts.length === 0) {
+            return Promise.resolve(server);
+        }
+
+        return new Promise((resolve) => {
+            const modal = document.getElementById('conflictModal');
+            const saveBtn = document.getElementById('conflictSaveBtn');
+            const discardBtn = document.getElementById('conflictDiscardBtn');
+            const fields = document.getElementById('conflictFields');
+
+            const author = theirs.updatedBy ? ` (${theirs.updatedBy})` : '';
+            document.getElementById('conflictSummary').textContent =
+                `"${server.artistName} - ${server.songName}" se modificó${author} mientras la editabas. ` +
+                'Elige qué valor conservar en cada campo.';
+
+            fields.innerHTML = conflicts.map(({ key, label }) => {
+                const bothChanged = own[key] !== original[key] && server[key] !== original[key];
+                const preferMine = own[key] !== original[key];
+                return `
+                    <tr class="border-b border-gray-100 ${bothChanged ? 'bg-amber-50' : ''}">
+                        <td class="px-3 py-2 text-sm font-medium text-gray-700 align-top">
+                            ${label}${bothChanged ? '<span class="block text-xs text-amber-600">Cambiaron ambos</span>' : ''}
+                        </td>
+                        <td class="px-3 py-2 text-sm align-top">
+                            <label class="flex items-start cursor-pointer">
+                                <input type="radio" name="conflict-${key}" value="theirs" class="mt-1" ${preferMine ? '' : 'checked'}>
+                                <span class="ml-2 break-all">${this.formatValue(server[key])}</span>
+                            </label>
+                        </td>
+                        <td class="px-3 py-2 text-sm align-top">
+                            <label class="flex items-start cursor-pointer">
+                                <input type="radio" name="conflict-${key}" value="mine" class="mt-1" ${preferMine ? 'checked' : ''}>
+                                <span class="ml-2 break-all">${this.formatValue(own[key])}</span>
+                            </label>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+            modal.classList.remove('hidden');
+
+            const close = (merged) => {
+                modal.classList.add('hidden');
+                saveBtn.removeEventListener('click', onSave);
+                discardBtn.removeEventListener('click', onDiscard);
+                resolve(merged);
+            };
+            const onSave = () => {
+                const merged = { ...server };
+                conflicts.forEach(({ key }) => {
+                    const choice = fields.querySelector(`input[name="conflict-${key}"]:checked`);
+                    if (choice && choice.value === 'mine') {
+                        merged[key] = own[key];
+                    }
+                });
+                close(merged);
+            };
+            const onDiscard = () => close(null);
+
+            saveBtn.addEventListener('click', onSave);
+            discardBtn.addEventListener('click', onDiscard);
+        });
+    }
+
+    formatValue(value) {
+        return value === '' ? '<span class="text-gray-400 italic">(vacío)</span>' : ValidationUtils.escapeHtml(value);
+    }
+}
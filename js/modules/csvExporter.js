@@ -0,0 +1,247 @@
+import { ValidationUtils } from '../utils/index.js';
+import { toDate } from './songFields.js';
+import { CSV_FLAVORS } from './csvFormat.js';
+
+const OPTIONS_KEY = 'csvExportOptions';
+
+// Columnas que se pueden exportar, en su orden por defecto
+export const CSV_EXPORT_COLUMNS = [
+    { key: 'songName', header: 'Nombre' },
+    { key: 'artistName', header: 'Artista' },
+    { key: 'state', header: 'Estado' },
+    { key: 'type', header: 'Tipo' },
+    { key: 'comments', header: 'Comentarios' },
+    { key: 'youtubeLink', header: 'YouTube' },
+    { key: 'id', header: 'ID' },
+    { key: 'createdAt', header: 'Creada' },
+    { key: 'updatedAt', header: 'Actualizada' },
+    { key: 'createdBy', header: 'Creada por' },
+    { key: 'updatedBy', header: 'Actualizada por' }
+];
+
+const DEFAULT_COLUMNS = ['songName', 'artistName', 'state', 'type', 'comments', 'youtubeLink'];
+const TIMESTAMP_COLUMNS = ['createdAt', 'updatedAt'];
+
+// Excel y LibreOffice interpretan como fórmula una celda que empieza por estos caracteres
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Apóstrofo que añade protectFormula: solo delante de uno de esos caracteres
+const PROTECTED_PREFIX = /^'[=+\-@\t\r]/;
+
+/**
+ * Evitar que un valor se ejecute como fórmula al abrir el CSV en una hoja de cálculo,
+ * anteponiendo un apóstrofo para que se lea como texto. Excel suele ocultarlo, pero
+ * LibreOffice y Google Sheets lo muestran como parte del valor.
+ * @param {string} value
+ * @returns {string}
+ */
+export function protectFormula(value) {
+    return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Quitar el apóstrofo que añadió protectFormula, para que importar un CSV exportado
+ * devuelva el valor original. Los demás apóstrofos iniciales son parte del dato
+ * (p. ej. "'Round Midnight") y se conservan.
+ * @param {string} value
+ * @returns {string}
+ */
+export function unprotectFormula(value) {
+    return PROTECTED_PREFIX.test(value) ? value.slice(1) : value;
+}
+
+export function escapeCSVField(field, delimiter = ',') {
+    if (field === null || field === undefined) {
+        return '';
+    }
+
+    const stringField = protectFormula(String(field));
+    if (/["\r\n]/.test(stringField) || stringField.includes(delimiter)) {
+        return `"${stringField.replace(/"/g, '""')}"`;
+    }
+    return stringField;
+}
+
+/**
+ * Generar el CSV de las canciones con las columnas indicadas, en el orden recibido.
+ * @param {Array<Object>} songs
+ * @param {Object} options - { delimiter, newline, columns: claves de CSV_EXPORT_COLUMNS }
+ * @returns {string}
+ */
+export function generateCSVContent(songs, { delimiter = ',', newline = '\n', columns = DEFAULT_COLUMNS } = {}) {
+    const selected = columns
+        .map(key => CSV_EXPORT_COLUMNS.find(column => column.key === key))
+        .filter(Boolean);
+
+    const csvRows = [selected.map(column => escapeCSVField(column.header, delimiter)).join(delimiter)];
+    songs.forEach(song => {
+        csvRows.push(selected.map(column => escapeCSVField(cellValue(song, column.key), delimiter)).join(delimiter));
+    });
+    return csvRows.join(newline);
+}
+
+// Los timestamps se escriben en ISO para que se puedan volver a leer sin ambigüedad
+function cellValue(song, key) {
+    if (TIMESTAMP_COLUMNS.includes(key)) {
+        const date = toDate(song[key]);
+        return date ? date.toISOString() : '';
+    }
+    return song[key] || '';
+}
+
+/**
+ * Exportación de la lista filtrada a CSV con las opciones guardadas
+ * (variante, BOM y columnas), y el diálogo para cambiarlas.
+ */
+export class CSVExporter {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('downloadCsvBtn').addEventListener('click', () => this.downloadCSV());
+        document.getElementById('csvOptionsBtn').addEventListener('click', () => this.showOptions());
+    }
+
+    getOptions() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(OPTIONS_KEY)) || {};
+        } catch (error) {
+            saved = {};
+        }
+
+        const flavorKey = CSV_FLAVORS[saved.flavor] ? saved.flavor : 'standard';
+        const columns = Array.isArray(saved.columns)
+            ? saved.columns.filter(key => CSV_EXPORT_COLUMNS.some(column => column.key === key))
+            : [];
+
+        return {
+            flavor: flavorKey,
+            bom: typeof saved.bom === 'boolean' ? saved.bom : CSV_FLAVORS[flavorKey].bom,
+            columns: columns.length > 0 ? columns : DEFAULT_COLUMNS
+        };
+    }
+
+    saveOptions(options) {
+        localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+    }
+
+    downloadCSV() {
+        if (this.songManager.filteredSongs.length === 0) {
+            alert('No hay canciones para exportar. Ajusta los filtros o agrega canciones.');
+            return;
+        }
+
+        this.songManager.showButtonLoading('downloadCsvBtn', 'downloadCsvText', 'downloadCsvSpinner');
+
+        try {
+            const options = this.getOptions();
+            const flavor = CSV_FLAVORS[options.flavor];
+            // filteredSongs está en el mismo orden que la tabla
+            const csvContent = generateCSVContent(this.songManager.filteredSongs, {
+                delimiter: flavor.delimiter,
+                newline: flavor.newline,
+                columns: options.columns
+            });
+            // Con BOM, Excel reconoce el UTF-8 y no estropea acentos ni eñes
+            const blob = new Blob([options.bom ? '\uFEFF' + csvContent : csvContent], { type: 'text/csv;charset=utf-8;' });
+            this.songManager.downloadFile(blob, `canciones_${new Date().toISOString().split('T')[0]}.csv`);
+        } finally {
+            this.songManager.hideButtonLoading('downloadCsvBtn', 'downloadCsvText', 'downloadCsvSpinner');
+        }
+    }
+
+    showOptions() {
+        const modal = document.getElementById('csvExportModal');
+        const flavorSelect = document.getElementById('csvExportFlavor');
+        const bomCheckbox = document.getElementById('csvExportBom');
+        const columnList = document.getElementById('csvExportColumns');
+        const saveBtn = document.getElementById('csvExportSaveBtn');
+        const cancelBtn = document.getElementById('csvExportCancelBtn');
+        const error = document.getElementById('csvExportError');
+
+        const options = this.getOptions();
+        // Columnas elegidas primero, en su orden, y después las demás sin marcar
+        let order = [
+            ...options.columns,
+            ...CSV_EXPORT_COLUMNS.map(column => column.key).filter(key => !options.columns.includes(key))
+        ];
+        const checked = new Set(options.columns);
+
+        const renderColumns = () => {
+            columnList.innerHTML = order.map((key, index) => {
+                const { header } = CSV_EXPORT_COLUMNS.find(column => column.key === key);
+                return `
+                    <li class="flex items-center justify-between py-1.5 border-b border-gray-100">
+                        <label class="flex items-center text-sm text-gray-700 cursor-pointer">
+                            <input type="checkbox" data-column="${key}" ${checked.has(key) ? 'checked' : ''} class="mr-2">
+                            ${ValidationUtils.escapeHtml(header)}
+                        </label>
+                        <span class="flex gap-1">
+                            <button type="button" data-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''}
+                                class="px-2 text-gray-500 hover:text-gray-900 disabled:opacity-30" title="Subir">↑</button>
+                            <button type="button" data-move="1" data-index="${index}" ${index === order.length - 1 ? 'disabled' : ''}
+                                class="px-2 text-gray-500 hover:text-gray-900 disabled:opacity-30" title="Bajar">↓</button>
+                        </span>
+                    </li>
+                `;
+            }).join('');
+        };
+
+        flavorSelect.innerHTML = Object.entries(CSV_FLAVORS).map(([value, flavor]) =>
+            `<option value="${value}" ${value === options.flavor ? 'selected' : ''}>${flavor.label}</option>`
+        ).join('');
+        bomCheckbox.checked = options.bom;
+        error.classList.add('hidden');
+        renderColumns();
+        modal.classList.remove('hidden');
+
+        const onFlavorChange = () => {
+            bomCheckbox.checked = CSV_FLAVORS[flavorSelect.value].bom;
+        };
+        const onColumnChange = (e) => {
+            const key = e.target.getAttribute('data-column');
+            if (!key) return;
+            if (e.target.checked) {
+                checked.add(key);
+            } else {
+                checked.delete(key);
+            }
+        };
+        const onColumnMove = (e) => {
+            const button = e.target.closest('button[data-move]');
+            if (!button) return;
+            const index = parseInt(button.getAttribute('data-index'), 10);
+            const target = index + parseInt(button.getAttribute('data-move'), 10);
+            order = [...order];
+            [order[index], order[target]] = [order[target], order[index]];
+            renderColumns();
+        };
+        const close = () => {
+            modal.classList.add('hidden');
+            flavorSelect.removeEventListener('change', onFlavorChange);
+            columnList.removeEventListener('change', onColumnChange);
+            columnList.removeEventListener('click', onColumnMove);
+            saveBtn.removeEventListener('click', onSave);
+            cancelBtn.removeEventListener('click', onCancel);
+        };
+        const onSave = () => {
+            const columns = order.filter(key => checked.has(key));
+            if (columns.length === 0) {
+                error.textContent = 'Elige al menos una columna.';
+                error.classList.remove('hidden');
+                return;
+            }
+            this.saveOptions({ flavor: flavorSelect.value, bom: bomCheckbox.checked, columns });
+            close();
+        };
+        const onCancel = () => close();
+
+        flavorSelect.addEventListener('change', onFlavorChange);
+        columnList.addEventListener('change', onColumnChange);
+        columnList.addEventListener('click', onColumnMove);
+        saveBtn.addEventListener('click', onSave);
+        cancelBtn.addEventListener('click', onCancel);
+    }
+}
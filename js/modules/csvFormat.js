@@ -0,0 +1,168 @@
+import { ValidationUtils } from '../utils/index.js';
+import { CSVParseError, CSVParser } from './csvParser.js';
+
+// Bytes que se leen para detectar el formato y mostrar la vista previa
+const SAMPLE_SIZE = 64 * 1024;
+const PREVIEW_ROWS = 6;
+
+export const DELIMITERS = {
+    ',': 'Coma (,)',
+    ';': 'Punto y coma (;)',
+    '\t': 'Tabulador'
+};
+
+export const ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'windows-1252': 'Windows-1252 (Excel en español)',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE'
+};
+
+// Variantes del CSV exportado
+export const CSV_FLAVORS = {
+    standard: { label: 'CSV estándar', delimiter: ',', newline: '\n', bom: false },
+    'excel-es': { label: 'Excel (ES)', delimiter: ';', newline: '\r\n', bom: true }
+};
+
+/**
+ * Detectar la codificación por la marca BOM o, si no hay, comprobando si los bytes son UTF-8 válido.
+ * Lo que no es UTF-8 se interpreta como Windows-1252, la codificación de Excel en español.
+ * @param {Uint8Array} bytes - Comienzo del archivo
+ * @returns {string} Etiqueta de codificación para TextDecoder
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    try {
+        // stream: true tolera un carácter cortado al final de la muestra
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return 'utf-8';
+    } catch (error) {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Elegir el separador con el que la cabecera tiene más columnas y el resto de filas
+ * mantiene ese mismo número de columnas.
+ * @param {string} sample - Comienzo del archivo ya decodificado
+ * @returns {string}
+ */
+export function detectDelimiter(sample) {
+    let best = { delimiter: ',', score: 0 };
+
+    Object.keys(DELIMITERS).forEach(delimiter => {
+        const records = readSampleRecords(sample, delimiter, 20);
+        if (!records || records.length === 0) return;
+
+        const columns = records[0].values.length;
+        if (columns < 2) return;
+
+        const consistency = records.filter(record => record.values.length === columns).length / records.length;
+        const score = consistency * columns;
+        if (score > best.score) {
+            best = { delimiter, score };
+        }
+    });
+
+    return best.delimiter;
+}
+
+// Primeros registros de la muestra, o null si no se puede leer con ese separador
+function readSampleRecords(sample, delimiter, limit) {
+    const parser = new CSVParser({ delimiter });
+    try {
+        const records = parser.write(sample);
+        if (records.length === 0) {
+            records.push(...parser.end());
+        }
+        return records.slice(0, limit);
+    } catch (error) {
+        if (error instanceof CSVParseError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Paso de importación que muestra cómo se interpretará el archivo
+ * y permite cambiar el separador y la codificación detectados.
+ */
+export class CSVFormatDialog {
+    /**
+     * @param {File} file
+     * @returns {Promise<{delimiter: string, encoding: string}|null>} null si se cancela
+     */
+    async show(file) {
+        const bytes = new Uint8Array(await file.slice(0, SAMPLE_SIZE).arrayBuffer());
+        const encoding = detectEncoding(bytes);
+        const delimiter = detectDelimiter(this.decode(bytes, encoding));
+
+        return new Promise((resolve) => {
+            const modal = document.getElementById('csvFormatModal');
+            const delimiterSelect = document.getElementById('csvDelimiter');
+            const encodingSelect = document.getElementById('csvEncoding');
+            const confirmBtn = document.getElementById('csvFormatConfirmBtn');
+            const cancelBtn = document.getElementById('csvFormatCancelBtn');
+
+            delimiterSelect.innerHTML = this.renderOptions(DELIMITERS, delimiter);
+            encodingSelect.innerHTML = this.renderOptions(ENCODINGS, encoding);
+            document.getElementById('csvFormatDetected').textContent =
+                `Detectado: ${DELIMITERS[delimiter]}, ${ENCODINGS[encoding]}`;
+
+            const renderPreview = () => {
+                this.renderPreview(this.decode(bytes, encodingSelect.value), delimiterSelect.value);
+            };
+            renderPreview();
+            modal.classList.remove('hidden');
+
+            const close = (format) => {
+                modal.classList.add('hidden');
+                delimiterSelect.removeEventListener('change', renderPreview);
+                encodingSelect.removeEventListener('change', renderPreview);
+                confirmBtn.removeEventListener('click', onConfirm);
+                cancelBtn.removeEventListener('click', onCancel);
+                resolve(format);
+            };
+            const onConfirm = () => close({ delimiter: delimiterSelect.value, encoding: encodingSelect.value });
+            const onCancel = () => close(null);
+
+            delimiterSelect.addEventListener('change', renderPreview);
+            encodingSelect.addEventListener('change', renderPreview);
+            confirmBtn.addEventListener('click', onConfirm);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    decode(bytes, encoding) {
+        return new TextDecoder(encoding).decode(bytes, { stream: true });
+    }
+
+    renderOptions(options, selected) {
+        // El tabulador no puede ir literal en un atributo sin escapar
+        return Object.entries(options).map(([value, label]) =>
+            `<option value="${value === '\t' ? '&#9;' : value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    renderPreview(sample, delimiter) {
+        const preview = document.getElementById('csvFormatPreview');
+        const records = readSampleRecords(sample, delimiter, PREVIEW_ROWS);
+
+        if (!records || records.length === 0) {
+            preview.innerHTML = '<p class="px-3 py-2 text-sm text-red-600">No se puede leer el archivo con este separador.</p>';
+            return;
+        }
+
+        preview.innerHTML = `
+            <table class="min-w-full text-xs">
+                ${records.map((record, index) => `
+                    <tr class="border-b border-gray-100 ${index === 0 ? 'bg-gray-50 font-medium' : ''}">
+                        ${record.values.map(value => `<td class="px-2 py-1 whitespace-nowrap">${ValidationUtils.escapeHtml(value)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+}
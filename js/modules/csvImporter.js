@@ -1,122 +1,371 @@
+import { ValidationUtils } from '../utils/index.js';
+import { CSVParseError, parseCSVFile, parseCSVText } from './csvParser.js';
+import { CSVFormatDialog, detectEncoding } from './csvFormat.js';
+import { ColumnMapper, autoMapColumns } from './columnMapper.js';
+import { ImportPreview } from './importPreview.js';
+import { unprotectFormula } from './csvExporter.js';
+import { adaptPlaylistRecords, parseM3U, parseYouTubeJSON } from './playlistAdapters.js';
+import { findSimilarSongs, songMatchKey } from './duplicateManager.js';
+import { versionedUpdate } from './undoManager.js';
+import { ImportRollbackError } from './songRepository.js';
+import { SONG_FIELD_KEYS, SONG_STATES, SONG_TYPES, diffSongFields, pickSongFields } from './songFields.js';
+
+// Formatos que acepta la importación
+const IMPORT_EXTENSIONS = ['csv', 'xlsx', 'm3u', 'm3u8', 'json'];
+
 export class CSVImporter {
     constructor(songManager) {
         this.songManager = songManager;
+        this.formatDialog = new CSVFormatDialog();
+        this.columnMapper = new ColumnMapper();
+        this.importPreview = new ImportPreview();
     }
 
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
-        const headers = lines[0].split(',').map(header => header.trim());
-        const songs = [];
-
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const values = this.parseCSVLine(line);
-            if (values.length >= 4) {
-                // Detectar formato del CSV
-                const isNewFormat = headers.includes('Estado') && headers.includes('Tipo');
-                
-                let song;
-                if (isNewFormat) {
-                    // Formato nuevo: Nombre,Artista,Estado,Tipo,Comentarios,YouTube
-                    song = {
-                        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                        artistName: values[1]?.trim() || '',
-                        songName: values[0]?.trim() || '',
-                        youtubeLink: values[5]?.trim() || '',
-                        state: this.mapState(values[2]?.trim()) || 'Por aprobar',
-                        type: this.mapType(values[3]?.trim()) || 'Lento',
-                        comments: values[4]?.trim() || ''
-                    };
-                } else {
-                    // Formato original: Nombre,Artista,Género,Estado,Tipo
-                    song = {
-                        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                        artistName: values[1]?.trim() || '',
-                        songName: values[0]?.trim() || '',
-                        youtubeLink: '',
-                        state: this.mapState(values[3]?.trim()) || 'Por aprobar',
-                        type: this.mapType(values[4]?.trim()) || 'Lento',
-                        comments: ''
-                    };
-                }
-                songs.push(song);
-            }
+        const records = parseCSVText(csvText);
+        if (records.length === 0) {
+            return [];
         }
+        return this.songsFromRecords(records.slice(1), autoMapColumns(records[0].values)).map(entry => entry.song);
+    }
+
+    /**
+     * Convertir las filas de datos del CSV en canciones, sin validar ni completar valores.
+     * @param {Array<{values: string[], line: number}>} rows - Registros sin la cabecera
+     * @param {Object} mapping - { campo: índice de columna o null }
+     * @returns {Array<{line: number, id: string, song: Object, mappedFields: string[]}>}
+     */
+    songsFromRecords(rows, mapping) {
+        const isMapped = (field) => mapping[field] !== null && mapping[field] !== undefined;
+        // Los valores que el exportador protegió contra fórmulas recuperan su forma original
+        const read = (values, field) => isMapped(field) ? unprotectFormula((values[mapping[field]] || '').trim()) : '';
+        const mappedFields = SONG_FIELD_KEYS.filter(isMapped);
 
-        return songs;
+        return rows
+            .map(({ values, line }) => ({
+                line,
+                id: read(values, 'id'),
+                mappedFields,
+                song: {
+                    artistName: read(values, 'artistName'),
+                    songName: read(values, 'songName'),
+                    youtubeLink: read(values, 'youtubeLink'),
+                    state: read(values, 'state'),
+                    type: read(values, 'type'),
+                    comments: read(values, 'comments')
+                }
+            }))
+            .filter(({ song }) => Object.values(song).some(value => value !== ''));
+    }
+
+    // Clave para reconocer una canción que ya está en la biblioteca (sin acentos, puntuación, "feat." ni sufijos de versión)
+    songKey(song) {
+        return `${songMatchKey(song.artistName)}|${songMatchKey(song.songName)}`;
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
+    /**
+     * Validar las canciones leídas y decidir qué hacer con cada una.
+     * Una fila corresponde a una canción existente si coincide el ID o, si no, el artista y el título.
+     * action: 'add' (nueva), 'skip' (ya existe; se puede cambiar a 'overwrite' o 'merge') o 'invalid'.
+     * changes guarda las diferencias que aplicaría sobrescribir una canción existente.
+     * @param {Array<Object>} entries - Resultado de songsFromRecords
+     * @returns {Array<Object>} { line, song, raw, mappedFields, ignoredFields, issues, duplicateOf, changes, action }
+     */
+    buildImportRows(entries) {
+        const authManager = this.songManager.authManager;
+        const existingById = new Map(this.songManager.songs.map(song => [song.id, song]));
+        const existingByKey = new Map(this.songManager.songs.map(song => [this.songKey(song), song]));
+        const firstLineByKey = new Map();
+
+        return entries.map(({ line, id, mappedFields, song: raw }) => {
+            const issues = [];
+            const error = (message) => issues.push({ level: 'error', message });
+            const warning = (message) => issues.push({ level: 'warning', message });
+            const song = { ...raw };
+            // Campos cuyo valor del archivo se descartó; no deben sobrescribir la canción existente
+            const ignoredFields = [];
+
+            if (!song.artistName) error('Falta el artista');
+            if (!song.songName) error('Falta el nombre de la canción');
+
+            if (song.youtubeLink && !ValidationUtils.isValidYouTubeUrl(song.youtubeLink)) {
+                warning('Enlace de YouTube no válido: se importará sin enlace');
+                song.youtubeLink = '';
+                ignoredFields.push('youtubeLink');
+            }
+
+            song.state = this.mapState(raw.state);
+            if (!song.state) {
+                song.state = 'Por aprobar';
+                ignoredFields.push('state');
+                if (raw.state) warning(`Estado desconocido "${raw.state}": se usará "Por aprobar"`);
+            }
+
+            song.type = this.mapType(raw.type);
+            if (!song.type) {
+                song.type = 'Lento';
+                ignoredFields.push('type');
+                if (raw.type) warning(`Tipo desconocido "${raw.type}": se usará "Lento"`);
+            }
+
+            const duplicateOf = existingById.get(id) || existingByKey.get(this.songKey(song)) || null;
+            if (id && !existingById.has(id)) {
+                warning(`No hay ninguna canción con ID "${id}"`);
+            }
+            if (!duplicateOf && song.songName) {
+                const [similar] = findSimilarSongs(song, this.songManager.songs);
+                if (similar) {
+                    warning(`Posible duplicado de "${similar.song.artistName} - ${similar.song.songName}" (${Math.round(similar.score * 100)} %)`);
+                }
+            }
+
+            const previousState = duplicateOf ? duplicateOf.state : null;
+            if (!authManager.canSetState(song.state, previousState)) {
+                const fallback = previousState || 'Por aprobar';
+                warning(`Tu rol no permite el estado "${song.state}": se usará "${fallback}"`);
+                song.state = fallback;
+                ignoredFields.push('state');
+            }
+
+            const row = { line, song, raw, mappedFields, ignoredFields, issues, duplicateOf, changes: {}, action: 'add' };
+            const key = duplicateOf ? `id:${duplicateOf.id}` : this.songKey(song);
+
+            if (issues.some(issue => issue.level === 'error')) {
+                row.action = 'invalid';
+            } else if (firstLineByKey.has(key)) {
+                error(`Repetida en el archivo (línea ${firstLineByKey.get(key)})`);
+                row.action = 'invalid';
             } else {
-                current += char;
+                firstLineByKey.set(key, line);
+                if (duplicateOf) {
+                    row.changes = diffSongFields(duplicateOf, { ...duplicateOf, ...this.getOverwriteFields(row) });
+                    row.action = 'skip';
+                }
+            }
+
+            return row;
+        });
+    }
+
+    // Campos del archivo que reemplazan a los de la canción existente al sobrescribir
+    getOverwriteFields(row) {
+        return row.mappedFields
+            .filter(key => !row.ignoredFields.includes(key))
+            // Un artista o título vacío no es un cambio sino un dato que falta
+            .filter(key => row.song[key] !== '' || !['artistName', 'songName'].includes(key))
+            .reduce((fields, key) => ({ ...fields, [key]: row.song[key] }), {});
+    }
+
+    // Campos a escribir sobre una canción existente según la decisión tomada en la vista previa
+    getUpdateFields(row) {
+        if (row.action === 'merge') {
+            const current = row.duplicateOf.comments || '';
+            const incoming = row.song.comments;
+            if (!incoming || current.includes(incoming)) {
+                return null;
             }
+            return { comments: current ? `${current}\n${incoming}` : incoming };
         }
-        
-        result.push(current);
-        return result;
+
+        const fields = this.getOverwriteFields(row);
+        return Object.keys(diffSongFields(row.duplicateOf, { ...row.duplicateOf, ...fields })).length > 0 ? fields : null;
     }
 
     mapState(csvState) {
-        const stateMap = {
-            'Aprobado': 'Aprobado',
-            'Por aprobar': 'Por aprobar',
-            'En grabación': 'En grabación',
-            'Listo': 'Listo',
-            'Rechazado': 'Rechazado'
-        };
-        return stateMap[csvState] || 'Por aprobar';
+        const normalized = (csvState || '').trim().toLowerCase();
+        return SONG_STATES.find(state => state.toLowerCase() === normalized) || null;
     }
 
     mapType(csvType) {
-        const typeMap = {
-            'Lento': 'Lento',
-            'Movido': 'Movido'
-        };
-        return typeMap[csvType] || 'Lento';
+        const normalized = (csvType || '').trim().toLowerCase();
+        return SONG_TYPES.find(type => type.toLowerCase() === normalized) || null;
     }
 
-    importFromFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const csvText = e.target.result;
-                    const songs = this.parseCSV(csvText);
-                    resolve(songs);
-                } catch (error) {
-                    reject(new Error('Error al procesar el archivo CSV: ' + error.message));
+    // Leer el archivo por fragmentos; los errores de formato indican línea y columna
+    async importFromFile(file, { delimiter = ',', encoding = 'utf-8' } = {}) {
+        try {
+            return await parseCSVFile(file, { delimiter, encoding });
+        } catch (error) {
+            if (error instanceof CSVParseError) {
+                throw new Error('Error al procesar el archivo CSV: ' + error.message);
+            }
+            throw new Error('Error al leer el archivo');
+        }
+    }
+
+    /**
+     * Agregar las canciones nuevas en lote, aplicar los cambios a las existentes
+     * e informar cuántas se agregaron, actualizaron y fallaron.
+     * @param {Array<Object>} songs - Canciones nuevas
+     * @param {Object} options - { atomic, skipped, invalid, updates: [{ song: existente, fields }] }
+     */
+    async importSongs(songs, { atomic = false, skipped = 0, invalid = 0, updates = [] } = {}) {
+        // Quien no puede aprobar ni rechazar importa esas canciones como pendientes de aprobación
+        const authManager = this.songManager.authManager;
+        songs = songs.map(song => authManager.canSetState(song.state) ? song : { ...song, state: 'Por aprobar' });
+        const queue = this.songManager.offlineQueue;
+
+        let result = { added: [], failed: [] };
+        if (songs.length > 0) {
+            try {
+                result = await queue.addSongs(songs, { atomic });
+            } catch (error) {
+                console.error('Error importando canciones:', error);
+                if (error instanceof ImportRollbackError) {
+                    // Las canciones que no se pudieron quitar siguen en la biblioteca
+                    this.songManager.upsertLocalSongs(error.songs);
+                    this.songManager.invalidateArtistsCache();
+                    this.songManager.filterManager.applyFilters();
+                    alert(`La importación falló, pero ${error.songs.length} canciones ya agregadas no se pudieron quitar ` +
+                        `y siguen en la lista.\n\nError: ${error.message}`);
+                    return;
                 }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Error al leer el archivo'));
-            };
-            
-            reader.readAsText(file, 'UTF-8');
+                alert(`La importación se canceló y no se agregó ninguna canción.\n\nError: ${error.message}`);
+                return;
+            }
+        }
+
+        const updated = [];
+        for (const { song, fields } of updates) {
+            try {
+                const saved = await queue.updateSong(song.id, fields);
+                updated.push(versionedUpdate(queue, song.id, pickSongFields(song), fields, saved));
+                this.songManager.upsertLocalSongs([{ ...song, ...(typeof saved === 'object' ? saved : {}), ...fields }]);
+            } catch (error) {
+                result.failed.push({ song, error });
+            }
+        }
+
+        this.songManager.upsertLocalSongs(result.added);
+        this.songManager.invalidateArtistsCache();
+        this.songManager.filterManager.applyFilters();
+
+        // Toda la importación se deshace o rehace como una sola operación. Deshacer las altas
+        // las elimina definitivamente, así que sin permiso para eliminar no se ofrece
+        const canUndoAdds = result.added.length === 0 || this.songManager.can('song:delete');
+        if ((result.added.length > 0 || updated.length > 0) && canUndoAdds) {
+            const addedSongs = result.added;
+            this.songManager.undoManager.record({
+                label: `Importación de ${addedSongs.length + updated.length} canciones`,
+                undo: async () => {
+                    for (const song of addedSongs) {
+                        await queue.purgeSong(song.id, song);
+                    }
+                    for (const update of updated) {
+                        await update.undo();
+                    }
+                },
+                redo: async () => {
+                    if (addedSongs.length > 0) {
+                        await queue.addSongs(addedSongs, { keepIds: true });
+                    }
+                    for (const update of updated) {
+                        await update.redo();
+                    }
+                }
+            });
+        }
+
+        result.failed.forEach(({ song, error }) => {
+            console.error(`Error importando "${song.artistName} - ${song.songName}":`, error);
         });
+
+        let report = `Importación finalizada.\n` +
+                     `Agregadas: ${result.added.length}\n` +
+                     `Actualizadas: ${updated.length}\n` +
+                     `Con error: ${result.failed.length}\n` +
+                     `Omitidas: ${skipped}`;
+        if (invalid > 0) {
+            report += `\nFilas no válidas: ${invalid}`;
+        }
+        if (result.queued) {
+            report += '\n\nNo hay conexión: las canciones se enviarán cuando vuelva la red.';
+            if (atomic) {
+                report += ' Se enviarán todas juntas: si alguna falla, no se agregará ninguna y el cambio quedará marcado con error en la lista de cambios pendientes.';
+            }
+        }
+        alert(report);
+    }
+
+    // Escribir lo decidido en la vista previa
+    async applyImportRows(rows, { atomic = false } = {}) {
+        const updates = rows
+            .filter(row => row.action === 'overwrite' || row.action === 'merge')
+            .map(row => ({ song: row.duplicateOf, fields: this.getUpdateFields(row) }));
+
+        await this.importSongs(rows.filter(row => row.action === 'add').map(row => row.song), {
+            atomic,
+            skipped: rows.filter(row => row.action === 'skip').length + updates.filter(update => !update.fields).length,
+            invalid: rows.filter(row => row.action === 'invalid').length,
+            updates: updates.filter(update => update.fields)
+        });
+    }
+
+    /**
+     * Leer las canciones del archivo según su formato. Las listas de reproducción (M3U, Spotify
+     * exportado con Exportify, YouTube) se reconocen solas; el resto pasa por la asociación de columnas.
+     * @returns {Promise<Array<Object>|null>} Entradas como las de songsFromRecords, o null si se cancela
+     */
+    async readEntries(file, extension) {
+        if (extension === 'm3u' || extension === 'm3u8') {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            // Las .m3u antiguas suelen estar en Windows-1252; las .m3u8 siempre en UTF-8
+            return parseM3U(new TextDecoder(extension === 'm3u8' ? 'utf-8' : detectEncoding(bytes)).decode(bytes));
+        }
+
+        if (extension === 'json') {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('El archivo no es JSON válido');
+            }
+            return parseYouTubeJSON(data);
+        }
+
+        let records;
+        if (extension === 'xlsx') {
+            records = await this.songManager.xlsxManager.readRecords(file);
+        } else {
+            // Separador y codificación detectados, confirmados por el usuario
+            const format = await this.formatDialog.show(file);
+            if (!format) {
+                return null;
+            }
+            records = await this.importFromFile(file, format);
+        }
+
+        const playlist = adaptPlaylistRecords(records);
+        if (playlist) {
+            return playlist.entries;
+        }
+
+        if (records.length < 2) {
+            return [];
+        }
+
+        // Revisar qué columna corresponde a cada campo
+        const [header, ...rows] = records;
+        const mapping = await this.columnMapper.showWizard(header.values.map(value => value.trim()), rows[0].values);
+        if (!mapping) {
+            return null;
+        }
+        return this.songsFromRecords(rows, mapping);
     }
 
     async handleFileImport(fileInput) {
         const file = fileInput.files[0];
         if (!file) return;
 
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            alert('Por favor selecciona un archivo CSV válido');
+        if (!this.songManager.can('song:import')) {
+            fileInput.value = '';
+            return;
+        }
+
+        const extension = file.name.toLowerCase().split('.').pop();
+        if (!IMPORT_EXTENSIONS.includes(extension)) {
+            alert('Por favor selecciona un archivo CSV, Excel (.xlsx), lista M3U o lista de YouTube (.json) válido');
+            fileInput.value = '';
             return;
         }
 
@@ -124,46 +373,19 @@ export class CSVImporter {
         this.songManager.showButtonLoading('importCsvBtn', 'importCsvText', 'importCsvSpinner');
 
         try {
-            const importedSongs = await this.importFromFile(file);
-            
-            if (importedSongs.length === 0) {
-                alert('No se encontraron canciones válidas en el archivo CSV');
+            const entries = await this.readEntries(file, extension);
+            if (!entries) {
                 return;
             }
-
-            const existingSongs = this.songManager.songs;
-            const newSongs = importedSongs.filter(importedSong => 
-                !existingSongs.some(existingSong => 
-                    existingSong.artistName.toLowerCase() === importedSong.artistName.toLowerCase() &&
-                    existingSong.songName.toLowerCase() === importedSong.songName.toLowerCase()
-                )
-            );
-
-            if (newSongs.length === 0) {
-                alert('Todas las canciones del CSV ya existen en la base de datos');
+            if (entries.length === 0) {
+                alert('No se encontraron canciones válidas en el archivo');
                 return;
             }
 
-            const confirmMessage = `Se encontraron ${importedSongs.length} canciones en el CSV.\n` +
-                                 `${newSongs.length} son nuevas y se agregarán.\n` +
-                                 `${importedSongs.length - newSongs.length} ya existen y se omitirán.\n\n` +
-                                 `¿Deseas continuar con la importación?`;
-
-            if (confirm(confirmMessage)) {
-                // Agregar canciones usando Firebase manager
-                for (const song of newSongs) {
-                    try {
-                        const addedSong = await this.songManager.firebaseManager.addSong(song);
-                        if (addedSong) {
-                            this.songManager.songs.push(addedSong);
-                        }
-                    } catch (error) {
-                        console.error('Error agregando canción:', error);
-                    }
-                }
-                this.songManager.filteredSongs = this.songManager.songs;
-                this.songManager.renderTable();
-                alert(`Se importaron ${newSongs.length} canciones exitosamente`);
+            const importRows = this.buildImportRows(entries);
+            const { confirmed, atomic } = await this.importPreview.show(importRows);
+            if (confirmed) {
+                await this.applyImportRows(importRows, { atomic });
             }
 
         } catch (error) {
@@ -171,8 +393,8 @@ export class CSVImporter {
         } finally {
             // Ocultar loading
             this.songManager.hideButtonLoading('importCsvBtn', 'importCsvText', 'importCsvSpinner');
+            // Permitir volver a elegir el mismo archivo
+            fileInput.value = '';
         }
-
-        fileInput.value = '';
     }
 }
@@ -0,0 +1,200 @@
+/**
+ * Parser de CSV según RFC 4180, por fragmentos.
+ * Admite saltos de línea y comillas dobles ("") dentro de campos entre comillas,
+ * finales de línea LF, CRLF o CR y una marca BOM al inicio del archivo.
+ */
+
+/**
+ * Error de formato con la posición (línea y columna, desde 1) donde se detectó.
+ */
+export class CSVParseError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (línea ${line}, columna ${column})`);
+        this.name = 'CSVParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const BOM = '\uFEFF';
+
+export class CSVParser {
+    constructor({ delimiter = ',' } = {}) {
+        this.delimiter = delimiter;
+        this.records = [];
+        this.record = [];
+        this.field = '';
+        this.state = 'start';       // start | unquoted | quoted | quote | afterQuote
+        this.line = 1;
+        this.column = 0;
+        this.recordLine = 1;
+        this.quoteLine = 1;
+        this.quoteColumn = 1;
+        this.pendingCR = false;
+        this.isFirstChunk = true;
+    }
+
+    /**
+     * Procesar un fragmento de texto.
+     * @param {string} chunk
+     * @returns {Array<{values: string[], line: number}>} Registros completados en este fragmento
+     */
+    write(chunk) {
+        if (this.isFirstChunk && chunk.length > 0) {
+            this.isFirstChunk = false;
+            if (chunk.startsWith(BOM)) {
+                chunk = chunk.slice(1);
+            }
+        }
+
+        for (let i = 0; i < chunk.length; i++) {
+            this.consume(chunk[i]);
+        }
+
+        return this.takeRecords();
+    }
+
+    /**
+     * Terminar la lectura.
+     * @returns {Array<{values: string[], line: number}>} Registros pendientes
+     * @throws {CSVParseError} Si queda un campo entre comillas sin cerrar
+     */
+    end() {
+        if (this.state === 'quoted') {
+            throw new CSVParseError('Comillas sin cerrar', this.quoteLine, this.quoteColumn);
+        }
+        if (this.state !== 'start' || this.record.length > 0) {
+            this.endRecord();
+        }
+        return this.takeRecords();
+    }
+
+    consume(char) {
+        // El \n de un CRLF completa el salto de línea que ya contó el \r
+        if (this.pendingCR) {
+            this.pendingCR = false;
+            if (char === '\n') {
+                if (this.state === 'quoted') {
+                    this.field += char;
+                }
+                return;
+            }
+        }
+
+        this.column++;
+
+        switch (this.state) {
+            case 'quoted':
+                if (char === '"') {
+                    this.state = 'quote';
+                } else {
+                    this.field += char;
+                    this.trackNewline(char);
+                }
+                return;
+
+            case 'quote':
+                // Tras una comilla dentro de un campo entre comillas: "" es una comilla literal
+                if (char === '"') {
+                    this.field += '"';
+                    this.state = 'quoted';
+                    return;
+                }
+                this.state = 'afterQuote';
+                break;
+
+            case 'start':
+                if (char === '"') {
+                    this.state = 'quoted';
+                    this.quoteLine = this.line;
+                    this.quoteColumn = this.column;
+                    return;
+                }
+                break;
+
+            default:
+                break;
+        }
+
+        if (char === this.delimiter) {
+            this.endField();
+        } else if (char === '\n' || char === '\r') {
+            this.endRecord();
+            this.trackNewline(char);
+        } else if (this.state === 'afterQuote') {
+            throw new CSVParseError(`Carácter inesperado "${char}" después de cerrar comillas`, this.line, this.column);
+        } else if (char === '"') {
+            throw new CSVParseError('Comilla dentro de un campo sin comillas', this.line, this.column);
+        } else {
+            this.field += char;
+            this.state = 'unquoted';
+        }
+    }
+
+    trackNewline(char) {
+        if (char === '\r') {
+            this.pendingCR = true;
+        }
+        if (char === '\n' || char === '\r') {
+            this.line++;
+            this.column = 0;
+        }
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.state = 'start';
+    }
+
+    endRecord() {
+        // Las líneas en blanco no son registros
+        const isBlank = this.record.length === 0 && this.state === 'start';
+        if (!isBlank) {
+            this.record.push(this.field);
+            this.records.push({ values: this.record, line: this.recordLine });
+        }
+        this.record = [];
+        this.field = '';
+        this.state = 'start';
+        this.recordLine = this.line + 1;
+    }
+
+    takeRecords() {
+        const records = this.records;
+        this.records = [];
+        return records;
+    }
+}
+
+/**
+ * Parsear un texto CSV completo.
+ * @param {string} text
+ * @param {Object} [options] - { delimiter }
+ * @returns {Array<{values: string[], line: number}>}
+ */
+export function parseCSVText(text, options = {}) {
+    const parser = new CSVParser(options);
+    return [...parser.write(text), ...parser.end()];
+}
+
+/**
+ * Parsear un archivo CSV leyéndolo por fragmentos.
+ * @param {File|Blob} file
+ * @param {Object} [options] - { delimiter, encoding }
+ * @returns {Promise<Array<{values: string[], line: number}>>}
+ */
+export async function parseCSVFile(file, { encoding = 'utf-8', ...options } = {}) {
+    const parser = new CSVParser(options);
+    const records = [];
+    const reader = file.stream().pipeThrough(new TextDecoderStream(encoding)).getReader();
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        records.push(...parser.write(value));
+    }
+
+    records.push(...parser.end());
+    return records;
+}
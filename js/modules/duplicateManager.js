@@ -0,0 +1,376 @@
+import { ValidationUtils } from '../utils/index.js';
+import { ConflictError } from './songRepository.js';
+import { savedVersion } from './undoManager.js';
+import { STATE_WORKFLOW, normalizeText, pickSongFields, toDate } from './songFields.js';
+
+// Puntuación a partir de la cual dos canciones se consideran posibles duplicados
+export const DUPLICATE_THRESHOLD = 0.85;
+
+const DISMISSED_KEY = 'dismissedDuplicates';
+
+// Palabras que indican una versión y no forman parte del título
+const VERSION_WORDS = /\b(?:remix|mix|live|en vivo|en directo|version|remaster(?:ed|izad[oa])?|acoustic|acustic[oa]|unplugged|edit|demo|instrumental|extended|single|mono|stereo|official|oficial|video|audio|lyrics?|letra)\b/;
+// Palabras de colaboración: "con" y "with" también aparecen en títulos ("Bailando con lobos"),
+// así que solo cuentan dentro de un paréntesis final
+const COLLABORATION_WORDS = /\b(?:feat|ft|featuring|with|con)\b/;
+// Paréntesis o corchetes al final del título
+const TRAILING_GROUP = /\s*[([][^)\]]*[)\]]\s*$/;
+// Separadores entre artistas: "A, B", "A & B", "A y B", "A x B", "A feat. B"
+const ARTIST_SEPARATOR = /\s*(?:,|&|\+|\/|\bfeat\b\.?|\bft\b\.?|\bfeaturing\b|\sy\s|\sx\s|\svs\.?\s)\s*/;
+
+/**
+ * Texto comparable para detectar duplicados: sin acentos, mayúsculas ni puntuación,
+ * y sin colaboraciones ("feat. ...") ni sufijos de versión ("(En vivo)", "- Remastered 2011").
+ * @param {string} text
+ * @returns {string}
+ */
+export function songMatchKey(text) {
+    let key = normalizeText(text).trim();
+
+    // "(feat. X) [Live]": se quitan uno a uno los grupos finales de colaboración o versión
+    let group;
+    while ((group = key.match(TRAILING_GROUP)) && (VERSION_WORDS.test(group[0]) || COLLABORATION_WORDS.test(group[0]))) {
+        key = key.slice(0, group.index);
+    }
+
+    return key
+        .replace(/\s+[-–—]\s+.*$/, suffix => VERSION_WORDS.test(suffix) ? '' : suffix)
+        .replace(/\s(?:feat|ft|featuring)\b.*$/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Artista principal: el primero de una colaboración
+function primaryArtistKey(artistName) {
+    return songMatchKey(normalizeText(artistName).split(ARTIST_SEPARATOR)[0]);
+}
+
+/**
+ * Parecido entre dos textos, de 0 a 1, según la distancia de edición.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Claves precalculadas de una canción, para no normalizar en cada comparación
+function songKeys(song) {
+    return {
+        title: songMatchKey(song.songName),
+        artist: songMatchKey(song.artistName),
+        primaryArtist: primaryArtistKey(song.artistName)
+    };
+}
+
+// Títulos de longitud muy distinta no pueden superar el umbral
+function comparableLengths(a, b) {
+    return Math.min(a.length, b.length) >= Math.max(a.length, b.length) * 0.7;
+}
+
+// Cota inferior barata de la distancia de edición: letras de uno que no tiene el otro
+function letterDistance(a, b) {
+    const counts = new Map();
+    for (const char of a) counts.set(char, (counts.get(char) || 0) + 1);
+    let missing = 0;
+    for (const char of b) {
+        const count = counts.get(char) || 0;
+        if (count > 0) {
+            counts.set(char, count - 1);
+        } else {
+            missing++;
+        }
+    }
+    return Math.max(missing, a.length - (b.length - missing));
+}
+
+function scoreKeys(a, b) {
+    if (!comparableLengths(a.title, b.title)) return 0;
+    // Un título con más de un 20 % de letras distintas no llega a 0,8 de parecido
+    if (letterDistance(a.title, b.title) > Math.max(a.title.length, b.title.length) * 0.2) return 0;
+
+    const titleScore = similarity(a.title, b.title);
+    if (titleScore < 0.8) return 0;
+
+    const artistScore = Math.max(similarity(a.artist, b.artist), similarity(a.primaryArtist, b.primaryArtist));
+    return titleScore * 0.6 + artistScore * 0.4;
+}
+
+/**
+ * Puntuación de 0 a 1 de que dos canciones sean la misma. El título pesa más que el artista,
+ * y las colaboraciones cuentan como el artista principal.
+ * @returns {number}
+ */
+export function duplicateScore(a, b) {
+    return scoreKeys(songKeys(a), songKeys(b));
+}
+
+/**
+ * Canciones de la lista que se parecen a la indicada, de más a menos parecida.
+ * @param {Object} song - Basta con artistName y songName
+ * @param {Array<Object>} songs
+ * @param {Object} options - { threshold, excludeId }
+ * @returns {Array<{song: Object, score: number}>}
+ */
+export function findSimilarSongs(song, songs, { threshold = DUPLICATE_THRESHOLD, excludeId = null } = {}) {
+    const keys = songKeys(song);
+    if (!keys.title) return [];
+
+    return songs
+        .filter(candidate => candidate.id !== excludeId)
+        .map(candidate => ({ song: candidate, score: scoreKeys(keys, songKeys(candidate)) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Todos los pares de posibles duplicados de la biblioteca, de más a menos parecidos.
+ * Comparar cada canción con todas bloquearía la pantalla con miles de canciones: solo se comparan
+ * las que comparten la primera o la última letra del título (una errata en ambas a la vez no se
+ * detecta) y, dentro de cada grupo, las de título de longitud y letras parecidas.
+ * @param {Array<Object>} songs
+ * @returns {Array<{a: Object, b: Object, score: number}>}
+ */
+export function findDuplicatePairs(songs, threshold = DUPLICATE_THRESHOLD) {
+    const keyed = songs
+        .map(song => ({ song, keys: songKeys(song) }))
+        .filter(({ keys }) => keys.title)
+        // Ordenadas por longitud del título, cada grupo puede cortar en cuanto la diferencia es excesiva
+        .sort((a, b) => a.keys.title.length - b.keys.title.length);
+    const pairs = [];
+
+    const compareGroups = (groupKey, skip) => {
+        const groups = new Map();
+        keyed.forEach(entry => {
+            const key = groupKey(entry.keys);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+
+        groups.forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const a = group[i];
+                    const b = group[j];
+                    if (!comparableLengths(a.keys.title, b.keys.title)) break;
+                    if (skip(a.keys, b.keys)) continue;
+
+                    const score = scoreKeys(a.keys, b.keys);
+                    if (score >= threshold) {
+                        pairs.push({ a: a.song, b: b.song, score });
+                    }
+                }
+            }
+        });
+    };
+
+    compareGroups(keys => keys.title[0], () => false);
+    // Los que además comparten la primera letra ya se compararon
+    compareGroups(keys => keys.title[keys.title.length - 1], (a, b) => a.title[0] === b.title[0]);
+
+    return pairs.sort((a, b) => b.score - a.score);
+}
+
+// "Rechazado" está por debajo de cualquier estado del flujo
+function stateRank(state) {
+    return STATE_WORKFLOW.indexOf(state);
+}
+
+/**
+ * Campos de la canción que se conserva al unir dos duplicados: comentarios de ambas,
+ * el estado más avanzado y los datos que a la conservada le falten.
+ * @param {Object} keep
+ * @param {Object} other
+ * @returns {Object}
+ */
+export function mergeSongFields(keep, other) {
+    const mine = (keep.comments || '').trim();
+    const theirs = (other.comments || '').trim();
+    let comments = `${mine}\n${theirs}`;
+    if (mine.includes(theirs)) {
+        comments = mine;
+    } else if (theirs.includes(mine)) {
+        comments = theirs;
+    }
+
+    return {
+        ...pickSongFields(keep),
+        youtubeLink: keep.youtubeLink || other.youtubeLink || '',
+        type: keep.type || other.type || '',
+        state: stateRank(other.state) > stateRank(keep.state) ? other.state : keep.state,
+        comments
+    };
+}
+
+function pairKey(a, b) {
+    return [a.id, b.id].sort().join('|');
+}
+
+/**
+ * Pantalla "Posibles duplicados": pares parecidos de la biblioteca, que se pueden unir
+ * (la otra canción va a la papelera) o marcar como canciones distintas.
+ */
+export class DuplicateManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.pairs = [];
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('duplicatesBtn').addEventListener('click', () => this.showDuplicates());
+        document.getElementById('duplicatesCloseBtn').addEventListener('click', () => this.hideDuplicates());
+        document.getElementById('duplicatesList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-pair-index]');
+            if (!button) return;
+
+            const pair = this.pairs[parseInt(button.getAttribute('data-pair-index'), 10)];
+            const action = button.getAttribute('data-action');
+            if (action === 'dismiss') {
+                this.dismissPair(pair);
+            } else if (action === 'keep-a') {
+                this.mergePair(pair.a, pair.b);
+            } else if (action === 'keep-b') {
+                this.mergePair(pair.b, pair.a);
+            }
+        });
+    }
+
+    // Pares marcados como "no son duplicados" en este navegador
+    getDismissed() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(DISMISSED_KEY)) || []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    dismissPair(pair) {
+        const dismissed = this.getDismissed();
+        dismissed.add(pairKey(pair.a, pair.b));
+        localStorage.setItem(DISMISSED_KEY, JSON.stringify([...dismissed]));
+        this.renderDuplicates();
+    }
+
+    showDuplicates() {
+        this.renderDuplicates();
+        document.getElementById('duplicatesModal').classList.remove('hidden');
+    }
+
+    hideDuplicates() {
+        document.getElementById('duplicatesModal').classList.add('hidden');
+    }
+
+    renderDuplicates() {
+        const dismissed = this.getDismissed();
+        this.pairs = findDuplicatePairs(this.songManager.songs).filter(pair => !dismissed.has(pairKey(pair.a, pair.b)));
+
+        const list = document.getElementById('duplicatesList');
+        document.getElementById('duplicatesCount').textContent = this.pairs.length;
+
+        if (this.pairs.length === 0) {
+            list.innerHTML = '<p class="px-6 py-4 text-center text-gray-500">No se encontraron posibles duplicados</p>';
+            return;
+        }
+
+        const canMerge = this.songManager.can('song:edit') && this.songManager.can('song:delete');
+        list.innerHTML = this.pairs.map((pair, index) => `
+            <div class="px-6 py-3 border-b border-gray-100">
+                <div class="flex justify-between items-center mb-2">
+                    <span class="text-xs font-medium text-amber-700">${Math.round(pair.score * 100)} % de parecido</span>
+                    <button data-pair-index="${index}" data-action="dismiss" class="text-xs text-gray-500 hover:text-gray-800">No son duplicados</button>
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    ${this.renderSong(pair.a, index, 'keep-a', canMerge)}
+                    ${this.renderSong(pair.b, index, 'keep-b', canMerge)}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderSong(song, index, action, canMerge) {
+        const createdAt = toDate(song.createdAt);
+        return `
+            <div class="text-sm">
+                <p class="font-medium text-gray-900">${ValidationUtils.escapeHtml(song.artistName)} - ${ValidationUtils.escapeHtml(song.songName)}</p>
+                <p class="text-xs text-gray-500">
+                    ${ValidationUtils.escapeHtml(song.state)} · ${ValidationUtils.escapeHtml(song.type)}
+                    ${createdAt ? ` · creada el ${createdAt.toLocaleDateString('es-ES')}` : ''}
+                </p>
+                ${song.comments ? `<p class="text-xs text-gray-600 mt-1 truncate">${ValidationUtils.escapeHtml(song.comments)}</p>` : ''}
+                ${canMerge ? `<button data-pair-index="${index}" data-action="${action}" class="mt-2 text-xs text-blue-600 hover:text-blue-800">Conservar esta y unir</button>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Unir dos canciones: la conservada recibe los comentarios de ambas y el estado más avanzado,
+     * y la otra pasa a la papelera. Se deshace como una sola operación.
+     */
+    async mergePair(keep, other) {
+        const songManager = this.songManager;
+        if (!songManager.can('song:edit') || !songManager.can('song:delete')) return;
+
+        const fields = mergeSongFields(keep, other);
+        if (!songManager.authManager.canSetState(fields.state, keep.state)) {
+            fields.state = keep.state;
+        }
+
+        if (!confirm(`Se conservará "${keep.artistName} - ${keep.songName}" con los comentarios de ambas ` +
+            `y "${other.artistName} - ${other.songName}" se moverá a la papelera. ¿Continuar?`)) {
+            return;
+        }
+
+        const previous = pickSongFields(keep);
+        const queue = songManager.offlineQueue;
+        // Versión de la canción conservada que dejó la última escritura; deshacer y rehacer la exigen
+        // para no pisar ediciones posteriores a la unión
+        let version = toDate(keep.updatedAt)?.toISOString() || null;
+
+        try {
+            const result = await queue.mergeSongs(keep.id, fields, other.id, { expectedUpdatedAt: version });
+            version = savedVersion(result);
+
+            songManager.upsertLocalSongs([{ ...(typeof result === 'object' ? result : {}), ...fields, id: keep.id }]);
+            const trashedSong = { ...other, trashedAt: new Date().toISOString(), trashedBy: songManager.repository.actor };
+            songManager.setLibrary([...songManager.songs.filter(song => song.id !== other.id), trashedSong, ...songManager.trashedSongs]);
+            songManager.invalidateArtistsCache();
+            songManager.filterManager.applyFilters();
+            songManager.undoManager.record({
+                label: `Unión de "${keep.songName}"`,
+                undo: async () => {
+                    version = savedVersion(await queue.mergeSongs(keep.id, previous, other.id, { restoreOther: true, expectedUpdatedAt: version }));
+                },
+                redo: async () => {
+                    version = savedVersion(await queue.mergeSongs(keep.id, fields, other.id, { expectedUpdatedAt: version }));
+                }
+            });
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                alert(`"${keep.songName}" cambió mientras tanto. Revisa la versión actual y vuelve a intentarlo.`);
+                await songManager.reloadSongs();
+            } else {
+                console.error('Error uniendo canciones:', error);
+                alert('Error uniendo canciones: ' + error.message);
+            }
+        }
+
+        this.renderDuplicates();
+    }
+}
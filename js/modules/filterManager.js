@@ -1,7 +1,65 @@
+import { QuerySyntaxError, getFieldSelection, parseQuery, plainTextQuery, searchSongs, setFieldSelection } from './searchQuery.js';
+import { SORT_PARAM, formatSortParam, parseSortParam } from './sortManager.js';
+
+// Parámetro de la URL con la búsqueda. Los tipos y estados marcados viajan dentro de
+// la consulta (tipo:Movido estado:"En grabación"), así que basta con ella y el orden
+const SEARCH_PARAM = 'q';
+
 export class FilterManager {
     constructor(songManager) {
         this.songManager = songManager;
         this.initializeMultiSelects();
+        this.initializeUrlState();
+    }
+
+    // La búsqueda de un enlace compartido se aplica al cargar; atrás/adelante recorren los filtros
+    initializeUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        document.getElementById('searchInput').value = params.get(SEARCH_PARAM) || '';
+        window.addEventListener('popstate', () => this.restoreFromUrl());
+    }
+
+    restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        document.getElementById('searchInput').value = params.get(SEARCH_PARAM) || '';
+        this.songManager.sortManager.setSortKeys(parseSortParam(params.get(SORT_PARAM)), { history: false });
+    }
+
+    /**
+     * Reflejar la búsqueda y el orden en la URL.
+     * @param {string|false} mode - 'push' crea una entrada en el historial, 'replace' actualiza la actual,
+     *   'search' crea una al empezar a escribir y la actualiza mientras se sigue escribiendo, false no toca la URL
+     */
+    updateUrl(mode) {
+        if (!mode) return;
+
+        const params = new URLSearchParams(window.location.search);
+        const query = document.getElementById('searchInput').value;
+        const sort = formatSortParam(this.songManager.sortManager.sortKeys);
+        if (query.trim()) {
+            params.set(SEARCH_PARAM, query);
+        } else {
+            params.delete(SEARCH_PARAM);
+        }
+        if (sort) {
+            params.set(SORT_PARAM, sort);
+        } else {
+            params.delete(SORT_PARAM);
+        }
+
+        // Se conservan los demás parámetros (backend, emulator...) y el hash
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+
+        const { state } = window.history;
+        if (mode === 'replace' || (mode === 'search' && state && state.source === 'search')) {
+            window.history.replaceState(state, '', url);
+        } else {
+            window.history.pushState({ source: mode === 'search' ? 'search' : 'filters' }, '', url);
+        }
     }
 
     initializeMultiSelects() {
@@ -17,10 +75,7 @@ export class FilterManager {
         });
         
         typeCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.updateTypeDropdownText();
-                this.applyFilters();
-            });
+            checkbox.addEventListener('change', () => this.selectFromCheckboxes('type', '.type-checkbox'));
         });
         
         // Estado multiselect
@@ -35,10 +90,7 @@ export class FilterManager {
         });
         
         stateCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.updateStateDropdownText();
-                this.applyFilters();
-            });
+            checkbox.addEventListener('change', () => this.selectFromCheckboxes('state', '.state-checkbox'));
         });
         
         // Cerrar dropdowns al hacer click fuera
@@ -74,29 +126,64 @@ export class FilterManager {
         }
     }
 
-    applyFilters() {
-        const searchInput = document.getElementById('searchInput').value.toLowerCase();
-        const selectedTypes = Array.from(document.querySelectorAll('.type-checkbox:checked')).map(cb => cb.value);
-        const selectedStates = Array.from(document.querySelectorAll('.state-checkbox:checked')).map(cb => cb.value);
+    // Las casillas de tipo y estado escriben su filtro en la consulta, que es la que se aplica
+    selectFromCheckboxes(field, selector) {
+        const values = Array.from(document.querySelectorAll(`${selector}:checked`)).map(cb => cb.value);
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = setFieldSelection(searchInput.value, field, values);
+        this.applyFilters({}, { history: 'push' });
+    }
 
-        this.songManager.filteredSongs = this.songManager.songs.filter(song => {
-            const matchesSearch = !searchInput || 
-                song.songName.toLowerCase().includes(searchInput) ||
-                song.artistName.toLowerCase().includes(searchInput) ||
-                (song.comments && song.comments.toLowerCase().includes(searchInput));
-            
-            const matchesType = selectedTypes.length === 0 || selectedTypes.includes(song.type);
-            const matchesState = selectedStates.length === 0 || selectedStates.includes(song.state);
-            
-            return matchesSearch && matchesType && matchesState;
+    // Marcar las casillas según lo que pide la consulta
+    syncCheckboxes(ast) {
+        const selectedTypes = getFieldSelection(ast, 'type');
+        const selectedStates = getFieldSelection(ast, 'state');
+        document.querySelectorAll('.type-checkbox').forEach(checkbox => {
+            checkbox.checked = selectedTypes.includes(checkbox.value);
         });
+        document.querySelectorAll('.state-checkbox').forEach(checkbox => {
+            checkbox.checked = selectedStates.includes(checkbox.value);
+        });
+        this.updateTypeDropdownText();
+        this.updateStateDropdownText();
+    }
 
-        this.songManager.renderTable();
+    // Interpretar la consulta; si tiene un error se indica debajo del buscador y se busca como texto simple
+    parseSearch() {
+        const query = document.getElementById('searchInput').value;
+        const errorElement = document.getElementById('searchError');
+
+        try {
+            const ast = parseQuery(query);
+            errorElement.classList.add('hidden');
+            return ast;
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) throw error;
+            errorElement.textContent = `${error.message} (carácter ${error.position + 1}). Se busca como texto simple.`;
+            errorElement.classList.remove('hidden');
+            return plainTextQuery(query);
+        }
+    }
+
+    applyFilters(renderOptions = {}, { history = 'replace' } = {}) {
+        const ast = this.parseSearch();
+        this.syncCheckboxes(ast);
+
+        // Con texto que buscar, las canciones quedan ordenadas por relevancia; el orden
+        // elegido en las cabeceras manda y la relevancia solo desempata
+        const results = searchSongs(ast, this.songManager.songs);
+        this.songManager.filteredSongs = this.songManager.sortManager.sort(results.map(result => result.song));
+        this.songManager.searchHighlights = new Map(results.map(result => [result.song.id, result.highlights]));
+
+        this.songManager.renderTable(renderOptions);
         this.updateFilterResults();
+        this.updateUrl(history);
+        this.songManager.viewManager.renderTabs();
     }
 
     clearFilters() {
         document.getElementById('searchInput').value = '';
+        document.getElementById('searchError').classList.add('hidden');
         
         // Limpiar checkboxes de tipo
         document.querySelectorAll('.type-checkbox').forEach(checkbox => {
@@ -110,9 +197,12 @@ export class FilterManager {
         });
         this.updateStateDropdownText();
         
-        this.songManager.filteredSongs = this.songManager.songs;
+        this.songManager.filteredSongs = this.songManager.sortManager.sort(this.songManager.songs);
+        this.songManager.searchHighlights = new Map();
         this.songManager.renderTable();
         this.updateFilterResults();
+        this.updateUrl('push');
+        this.songManager.viewManager.renderTabs();
     }
 
     updateFilterResults() {
@@ -0,0 +1,145 @@
+import { ValidationUtils } from '../utils/index.js';
+import { getFieldLabel } from './songFields.js';
+
+// Acciones posibles para una fila que ya existe en la biblioteca
+export const DUPLICATE_ACTIONS = {
+    skip: 'Omitir',
+    overwrite: 'Sobrescribir',
+    merge: 'Unir comentarios'
+};
+
+/**
+ * Vista previa de la importación: todas las filas leídas con sus avisos y, para las
+ * canciones que ya existen, la decisión de omitirlas, sobrescribirlas o unir comentarios.
+ */
+export class ImportPreview {
+    /**
+     * @param {Array<Object>} rows - Filas de CSVImporter.buildImportRows; se actualiza row.action
+     * @returns {Promise<{confirmed: boolean, atomic: boolean}>}
+     */
+    show(rows) {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('importModal');
+            const body = document.getElementById('importPreviewBody');
+            const confirmBtn = document.getElementById('importConfirmBtn');
+            const cancelBtn = document.getElementById('importCancelBtn');
+            const atomicCheckbox = document.getElementById('importAtomic');
+            const updateModeCheckbox = document.getElementById('importUpdateMode');
+
+            const render = () => {
+                body.innerHTML = rows.map((row, index) => this.renderRow(row, index)).join('');
+                this.updateSummary(rows);
+            };
+
+            updateModeCheckbox.checked = localStorage.getItem('importUpdateMode') === 'true';
+            this.setUpdateMode(rows, updateModeCheckbox.checked);
+            atomicCheckbox.checked = false;
+            render();
+            modal.classList.remove('hidden');
+
+            const onUpdateModeChange = () => {
+                localStorage.setItem('importUpdateMode', String(updateModeCheckbox.checked));
+                this.setUpdateMode(rows, updateModeCheckbox.checked);
+                render();
+            };
+            const onActionChange = (e) => {
+                const index = e.target.getAttribute('data-row-index');
+                if (index !== null) {
+                    rows[parseInt(index, 10)].action = e.target.value;
+                    this.updateSummary(rows);
+                }
+            };
+            const close = (confirmed) => {
+                modal.classList.add('hidden');
+                body.removeEventListener('change', onActionChange);
+                updateModeCheckbox.removeEventListener('change', onUpdateModeChange);
+                confirmBtn.removeEventListener('click', onConfirm);
+                cancelBtn.removeEventListener('click', onCancel);
+                resolve({ confirmed, atomic: atomicCheckbox.checked });
+            };
+            const onConfirm = () => close(true);
+            const onCancel = () => close(false);
+
+            body.addEventListener('change', onActionChange);
+            updateModeCheckbox.addEventListener('change', onUpdateModeChange);
+            confirmBtn.addEventListener('click', onConfirm);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    // Modo actualización: las canciones existentes con diferencias se sobrescriben con el archivo
+    setUpdateMode(rows, enabled) {
+        rows.filter(row => row.duplicateOf && row.action !== 'invalid').forEach(row => {
+            row.action = enabled && Object.keys(row.changes).length > 0 ? 'overwrite' : 'skip';
+        });
+    }
+
+    renderRow(row, index) {
+        const { song } = row;
+        const hasError = row.issues.some(issue => issue.level === 'error');
+        const rowClass = hasError ? 'bg-red-50' : row.duplicateOf ? 'bg-blue-50' : row.issues.length > 0 ? 'bg-amber-50' : '';
+
+        let action;
+        if (hasError) {
+            action = '<span class="text-red-600">No se importa</span>';
+        } else if (row.duplicateOf) {
+            action = `
+                <select data-row-index="${index}" class="px-2 py-1 border border-gray-300 rounded text-xs">
+                    ${Object.entries(DUPLICATE_ACTIONS).map(([value, label]) =>
+                        `<option value="${value}" ${row.action === value ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+            `;
+        } else {
+            action = '<span class="text-green-700">Agregar</span>';
+        }
+
+        const issues = row.issues.map(issue =>
+            `<li class="${issue.level === 'error' ? 'text-red-600' : 'text-amber-700'}">${ValidationUtils.escapeHtml(issue.message)}</li>`
+        ).join('') + this.renderChanges(row);
+
+        return `
+            <tr class="border-b border-gray-100 ${rowClass}">
+                <td class="px-3 py-2 text-xs text-gray-500">${row.line}</td>
+                <td class="px-3 py-2">${ValidationUtils.escapeHtml(song.artistName)}</td>
+                <td class="px-3 py-2">${ValidationUtils.escapeHtml(song.songName)}</td>
+                <td class="px-3 py-2">${ValidationUtils.escapeHtml(song.state)}</td>
+                <td class="px-3 py-2">${ValidationUtils.escapeHtml(song.type)}</td>
+                <td class="px-3 py-2 max-w-[10rem] truncate">${ValidationUtils.escapeHtml(song.youtubeLink)}</td>
+                <td class="px-3 py-2 text-xs"><ul>${issues}</ul></td>
+                <td class="px-3 py-2 text-xs whitespace-nowrap">${action}</td>
+            </tr>
+        `;
+    }
+
+    // Diferencias con la canción existente: lo que cambiaría al sobrescribirla
+    renderChanges(row) {
+        if (!row.duplicateOf || row.action === 'invalid') return '';
+
+        const changes = Object.entries(row.changes);
+        if (changes.length === 0) {
+            return '<li class="text-gray-500">Ya existe, sin cambios</li>';
+        }
+
+        return changes.map(([key, { before, after }]) => `
+            <li class="text-gray-600">
+                ${getFieldLabel(key)}: <span class="line-through">${ValidationUtils.escapeHtml(before) || '(vacío)'}</span>
+                → <span class="font-medium">${ValidationUtils.escapeHtml(after) || '(vacío)'}</span>
+            </li>
+        `).join('');
+    }
+
+    updateSummary(rows) {
+        const count = (predicate) => rows.filter(predicate).length;
+        const added = count(row => row.action === 'add');
+        const updated = count(row => row.action === 'overwrite' || row.action === 'merge');
+        const skipped = count(row => row.action === 'skip');
+        const invalid = count(row => row.action === 'invalid');
+        const warnings = count(row => row.action !== 'invalid' && row.issues.length > 0);
+
+        document.getElementById('importSummary').textContent =
+            `${rows.length} filas leídas: ${added} se agregarán, ${updated} actualizarán canciones existentes, ` +
+            `${skipped} se omitirán y ${invalid} tienen errores. ${warnings} con avisos.`;
+        document.getElementById('importConfirmBtn').disabled = added + updated === 0;
+    }
+}
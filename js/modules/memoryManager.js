@@ -0,0 +1,141 @@
+import { SongRepository } from './songRepository.js';
+
+/**
+ * Repositorio en memoria. No persiste nada: útil para probar
+ * CSVImporter/FilterManager sin tocar Firebase ni localStorage.
+ */
+export class MemoryManager extends SongRepository {
+    constructor(initialSongs = []) {
+        super();
+        this.songs = new Map();
+        this.history = new Map();
+        this.views = new Map();
+        this.settings = {};
+        initialSongs.forEach(song => {
+            const id = song.id || this.generateId();
+            const now = new Date().toISOString();
+            this.songs.set(id, { createdAt: now, updatedAt: now, ...song, id });
+        });
+        this.isInitialized = true;
+    }
+
+    async loadSongs() {
+        return this.sortByCreatedAtDesc(Array.from(this.songs.values()).map(song => ({ ...song })));
+    }
+
+    async addSong(song, songId = null) {
+        const { id, ...songWithoutId } = song;
+        const now = new Date().toISOString();
+        const newSong = { ...songWithoutId, ...this.authorshipFields(true), id: songId || this.generateId(), createdAt: now, updatedAt: now };
+        this.songs.set(newSong.id, newSong);
+        this.appendHistory(newSong.id, this.createHistoryEntry('create', null, newSong));
+        return { ...newSong };
+    }
+
+    async updateSong(songId, updatedSong, { expectedUpdatedAt = null } = {}) {
+        const existing = this.songs.get(songId);
+        if (!existing) {
+            return null;
+        }
+        this.assertNotModified(existing, expectedUpdatedAt);
+
+        const song = { ...existing, ...updatedSong, ...this.authorshipFields(), id: songId, updatedAt: new Date().toISOString() };
+        this.songs.set(songId, song);
+        this.appendHistory(songId, this.createHistoryEntry('update', existing, song));
+        return { ...song };
+    }
+
+    async deleteSong(songId) {
+        const existing = this.songs.get(songId);
+        if (!existing) {
+            return false;
+        }
+
+        const now = new Date().toISOString();
+        const song = { ...existing, ...this.authorshipFields(), trashedAt: now, trashedBy: this.actor, updatedAt: now };
+        this.songs.set(songId, song);
+        this.appendHistory(songId, this.createHistoryEntry('trash', existing, song));
+        return true;
+    }
+
+    async restoreSong(songId) {
+        const existing = this.songs.get(songId);
+        if (!existing) {
+            return false;
+        }
+
+        const { trashedAt, trashedBy, ...song } = existing;
+        Object.assign(song, this.authorshipFields(), { updatedAt: new Date().toISOString() });
+        this.songs.set(songId, song);
+        this.appendHistory(songId, this.createHistoryEntry('restore', existing, song));
+        return true;
+    }
+
+    async purgeSong(songId) {
+        const existing = this.songs.get(songId);
+        if (!existing) {
+            return false;
+        }
+
+        this.songs.delete(songId);
+        this.appendHistory(songId, this.createHistoryEntry('delete', existing, null));
+        return true;
+    }
+
+    async restoreBackup(songs, { replace = false } = {}) {
+        const { writes, removals, summary } = this.planBackupRestore(Array.from(this.songs.values()), songs, replace);
+
+        writes.forEach(({ song, before }) => {
+            const now = new Date().toISOString();
+            const restored = { ...song, createdAt: song.createdAt || now, updatedAt: song.updatedAt || now };
+            this.songs.set(song.id, restored);
+            this.appendHistory(song.id, this.createHistoryEntry('backup', before, restored));
+        });
+        removals.forEach(song => {
+            this.songs.delete(song.id);
+            this.appendHistory(song.id, this.createHistoryEntry('delete', song, null));
+        });
+
+        return summary;
+    }
+
+    appendHistory(songId, entry) {
+        // Las ediciones que no cambian ningún campo no dejan rastro
+        if (['update', 'backup'].includes(entry.action) && Object.keys(entry.changes).length === 0) return;
+
+        const entries = this.history.get(songId) || [];
+        this.history.set(songId, [entry, ...entries]);
+    }
+
+    async getHistory(songId) {
+        return [...(this.history.get(songId) || [])];
+    }
+
+    async loadSettings() {
+        return { ...this.settings };
+    }
+
+    async saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    async loadViews(userId) {
+        return Array.from(this.views.values()).map(view => ({ ...view }));
+    }
+
+    async saveView(userId, view) {
+        this.views.set(view.id, { ...view });
+    }
+
+    async deleteView(userId, viewId) {
+        this.views.delete(viewId);
+    }
+
+    // Vaciar el repositorio
+    clearAll() {
+        this.songs.clear();
+        this.history.clear();
+        this.views.clear();
+        return true;
+    }
+}
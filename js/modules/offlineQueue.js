@@ -0,0 +1,339 @@
+const DB_NAME = 'gestionCanciones';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// Tiempo máximo de espera de una escritura directa antes de darla por perdida y encolarla
+const WRITE_TIMEOUT = 10000;
+
+/**
+ * Cola de escrituras pendientes (outbox) persistida en IndexedDB.
+ * Las altas, ediciones y bajas se aplican de forma optimista y, si no hay conexión,
+ * se guardan para reproducirlas en orden cuando vuelva la red.
+ * Cada cambio lleva un writeId fijo: si una escritura que se dio por perdida llega después
+ * al servidor, el repositorio reconoce la repetición y no la aplica dos veces.
+ */
+export class OfflineQueue {
+    constructor(repository, { onChange = () => {} } = {}) {
+        this.repository = repository;
+        this.onChange = onChange;
+        this.db = null;
+        this.items = [];
+        this.isReplaying = false;
+
+        window.addEventListener('online', () => this.replay());
+    }
+
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            this.items = await this.readAll();
+        } catch (error) {
+            // Sin IndexedDB la cola funciona solo en memoria durante la sesión
+            console.error('Error abriendo la cola de cambios pendientes:', error);
+        }
+        this.notify();
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Ejecutar una operación sobre el object store y resolver con su resultado
+    runTransaction(mode, operation) {
+        if (!this.db) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    readAll() {
+        return this.runTransaction('readonly', store => store.getAll()).then(items => items || []);
+    }
+
+    async persist(item) {
+        const seq = await this.runTransaction('readwrite', store => store.put(item));
+        // Sin IndexedDB se numera en memoria
+        item.seq = seq ?? (this.items.reduce((max, existing) => Math.max(max, existing.seq), 0) + 1);
+        return item;
+    }
+
+    async remove(item) {
+        await this.runTransaction('readwrite', store => store.delete(item.seq));
+        this.items = this.items.filter(existing => existing.seq !== item.seq);
+    }
+
+    // Cantidad de cambios que todavía no llegaron al servidor
+    get pendingCount() {
+        return this.items.length;
+    }
+
+    // Los cambios fallidos no bloquean las escrituras nuevas, solo los pendientes
+    get hasPendingItems() {
+        return this.items.some(item => item.status === 'pending');
+    }
+
+    get failedItems() {
+        return this.items.filter(item => item.status === 'failed');
+    }
+
+    notify() {
+        this.onChange(this.items);
+    }
+
+    // Operaciones de escritura con la misma firma que el repositorio
+    async addSong(song, songId = null) {
+        songId = songId || this.repository.generateId();
+        const { id, ...songWithoutId } = song;
+        await this.execute({ type: 'add', songId, song: songWithoutId });
+        return { ...songWithoutId, id: songId };
+    }
+
+    // Alta masiva: con conexión va directo al repositorio (batches); sin conexión toda la importación
+    // se encola como un solo cambio, que se reproduce con el mismo modo atómico
+    async addSongs(songs, { atomic = false, keepIds = false } = {}) {
+        if (navigator.onLine && !this.hasPendingItems) {
+            return this.repository.addSongs(songs, { atomic, keepIds });
+        }
+
+        // Los IDs se fijan al encolar para mostrar las canciones ya y poder deshacer la importación
+        const added = songs.map(song => {
+            const { id, ...songWithoutId } = song;
+            return { ...songWithoutId, id: keepIds && id ? id : this.repository.generateId() };
+        });
+        await this.enqueue({ type: 'addSongs', songs: added, options: { atomic }, writeId: this.repository.generateId() });
+        return { added, failed: [], queued: true };
+    }
+
+    // options.expectedUpdatedAt debe ser una cadena ISO para poder guardarse en IndexedDB.
+    // Devuelve la canción guardada si el repositorio la informa, o true
+    async updateSong(songId, updatedSong, options = {}) {
+        const result = await this.execute({ type: 'update', songId, song: updatedSong, options });
+        return result && typeof result === 'object' ? result : true;
+    }
+
+    // Mover a la papelera
+    async deleteSong(songId, song = null) {
+        await this.execute({ type: 'delete', songId, song });
+        return true;
+    }
+
+    async restoreSong(songId, song = null) {
+        await this.execute({ type: 'restore', songId, song });
+        return true;
+    }
+
+    // Unir canciones (o deshacer la unión con restoreOther) en una sola escritura.
+    // Devuelve la canción conservada si el repositorio la informa, o true
+    async mergeSongs(keepId, fields, otherId, { restoreOther = false, ...options } = {}) {
+        const result = await this.execute({ type: 'merge', songId: keepId, song: fields, otherId, restoreOther, options });
+        return result && typeof result === 'object' ? result : true;
+    }
+
+    // Eliminar definitivamente
+    async purgeSong(songId, song = null) {
+        await this.execute({ type: 'purge', songId, song });
+        return true;
+    }
+
+    // Escribir directamente si hay red y la cola está vacía; si no, encolar para conservar el orden
+    async execute(mutation) {
+        mutation = { ...mutation, writeId: this.repository.generateId() };
+        if (navigator.onLine && !this.hasPendingItems) {
+            try {
+                return await this.apply(mutation);
+            } catch (error) {
+                if (!this.isNetworkError(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        await this.enqueue(mutation);
+    }
+
+    async enqueue(mutation) {
+        // Sin conexión la copia local conserva el updatedAt anterior: una segunda edición encolada de la
+        // misma canción exigiría esa versión y chocaría al reproducirse con la propia edición anterior.
+        // Se confía en la comprobación de la primera, que es la que se basa en la versión del servidor.
+        if (mutation.options?.expectedUpdatedAt && this.hasPendingWriteFor(mutation.songId)) {
+            const { expectedUpdatedAt, ...options } = mutation.options;
+            mutation = { ...mutation, options };
+        }
+
+        const item = await this.persist({
+            ...mutation,
+            status: 'pending',
+            error: null,
+            queuedAt: new Date().toISOString()
+        });
+        this.items.push(item);
+        this.notify();
+
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    hasPendingWriteFor(songId) {
+        return this.items.some(item => item.status === 'pending' && (
+            item.songId === songId ||
+            item.otherId === songId ||
+            (item.type === 'addSongs' && item.songs.some(song => song.id === songId))
+        ));
+    }
+
+    apply({ type, songId, song, songs = [], options = {}, writeId = null, otherId = null, restoreOther = false }) {
+        let write;
+        switch (type) {
+            case 'add':
+                write = this.repository.addSong(song, songId, { writeId });
+                break;
+            case 'addSongs':
+                // Sin atomic, las canciones que fallan dejan el cambio como fallido; reintentarlo
+                // vuelve a escribirlas todas con los mismos IDs
+                write = this.repository.addSongs(songs, { ...options, keepIds: true, writeId }).then(result => {
+                    if (result.failed.length > 0) {
+                        throw new Error(`No se pudieron agregar ${result.failed.length} de ${songs.length} canciones: ${result.failed[0].error}`);
+                    }
+                    return result;
+                });
+                break;
+            case 'update':
+                write = this.repository.updateSong(songId, song, { ...options, writeId });
+                break;
+            case 'delete':
+                write = this.repository.deleteSong(songId, { writeId });
+                break;
+            case 'restore':
+                write = this.repository.restoreSong(songId, { writeId });
+                break;
+            case 'purge':
+                write = this.repository.purgeSong(songId, { writeId });
+                break;
+            case 'merge':
+                write = this.repository.mergeSongs(songId, song, otherId, { ...options, restoreOther, writeId });
+                break;
+            default:
+                return Promise.reject(new Error(`Tipo de cambio desconocido: ${type}`));
+        }
+
+        let timeoutId;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                const error = new Error('Tiempo de espera agotado al guardar el cambio');
+                error.name = 'TimeoutError';
+                reject(error);
+            }, WRITE_TIMEOUT);
+        });
+
+        return Promise.race([write, timeout]).finally(() => clearTimeout(timeoutId));
+    }
+
+    isNetworkError(error) {
+        return !navigator.onLine ||
+            error.name === 'TimeoutError' ||
+            ['unavailable', 'deadline-exceeded'].includes(error.code);
+    }
+
+    // Reproducir en orden los cambios pendientes. Los que fallan por otra causa quedan marcados
+    // como fallidos para reintentarlos o descartarlos desde el panel.
+    // Se busca el siguiente en cada vuelta: lo que se encole mientras tanto también se envía.
+    async replay() {
+        if (this.isReplaying || !navigator.onLine) {
+            return;
+        }
+
+        this.isReplaying = true;
+        try {
+            let item;
+            while ((item = this.items.find(existing => existing.status === 'pending'))) {
+                try {
+                    await this.apply(item);
+                    await this.remove(item);
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        break;
+                    }
+                    console.error('Error reproduciendo cambio pendiente:', error);
+                    item.status = 'failed';
+                    item.error = error.message;
+                    await this.runTransaction('readwrite', store => store.put(item));
+                }
+                this.notify();
+            }
+        } finally {
+            this.isReplaying = false;
+            this.notify();
+        }
+    }
+
+    // Volver a intentar un cambio fallido
+    async retry(seq) {
+        const item = this.items.find(existing => existing.seq === seq);
+        if (!item) return;
+
+        item.status = 'pending';
+        item.error = null;
+        // Reintentar a mano sobrescribe: ya no se exige la versión en la que se basaba
+        const { expectedUpdatedAt, ...options } = item.options || {};
+        item.options = options;
+        await this.runTransaction('readwrite', store => store.put(item));
+        await this.replay();
+    }
+
+    // Descartar un cambio pendiente o fallido
+    async discard(seq) {
+        const item = this.items.find(existing => existing.seq === seq);
+        if (!item) return;
+
+        await this.remove(item);
+        this.notify();
+    }
+
+    // Aplicar sobre una lista de canciones los cambios que aún no están en el servidor
+    applyPending(songs) {
+        return this.items.reduce((result, { type, songId, song, songs, queuedAt, otherId, restoreOther }) => {
+            switch (type) {
+                case 'add':
+                    return result.some(existing => existing.id === songId) ? result : [{ ...song, id: songId }, ...result];
+                case 'addSongs':
+                    return [...songs.filter(added => !result.some(existing => existing.id === added.id)), ...result];
+                case 'update':
+                    return result.map(existing => existing.id === songId ? { ...existing, ...song, id: songId } : existing);
+                case 'delete':
+                    return result.map(existing => existing.id === songId ? { ...existing, trashedAt: queuedAt } : existing);
+                case 'restore':
+                    return result.map(existing => {
+                        if (existing.id !== songId) return existing;
+                        const { trashedAt, trashedBy, ...restored } = existing;
+                        return restored;
+                    });
+                case 'purge':
+                    return result.filter(existing => existing.id !== songId);
+                case 'merge':
+                    return result.map(existing => {
+                        if (existing.id === songId) return { ...existing, ...song, id: songId };
+                        if (existing.id !== otherId) return existing;
+                        if (!restoreOther) return { ...existing, trashedAt: queuedAt };
+                        const { trashedAt, trashedBy, ...restored } = existing;
+                        return restored;
+                    });
+                default:
+                    return result;
+            }
+        }, songs);
+    }
+}
@@ -36,6 +36,12 @@ export class PDFGenerator {
         
         const totalSongs = this.songManager.filteredSongs.length;
         doc.text(`Total de canciones: ${totalSongs}`, 20, 37);
+
+        // La lista sale en el orden de la tabla
+        const sortDescription = this.songManager.sortManager.describe();
+        if (sortDescription) {
+            doc.text(`Ordenado por: ${sortDescription}`, 20, 44);
+        }
     }
 
     addSongsList(doc) {
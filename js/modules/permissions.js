@@ -0,0 +1,33 @@
+/**
+ * Roles de usuario y las acciones que puede realizar cada uno.
+ * Las reglas de firestore.rules aplican las mismas restricciones en el servidor.
+ */
+export const ROLES = {
+    admin: 'Administrador',
+    musician: 'Músico',
+    viewer: 'Oyente'
+};
+
+export const DEFAULT_ROLE = 'viewer';
+
+const ROLE_PERMISSIONS = {
+    admin: ['song:add', 'song:edit', 'song:comment', 'song:approve', 'song:delete', 'song:import', 'library:restore'],
+    musician: ['song:add', 'song:edit', 'song:comment', 'song:import'],
+    viewer: []
+};
+
+// Estados que solo puede asignar quien tenga 'song:approve'
+export const RESTRICTED_STATES = ['Aprobado', 'Rechazado'];
+
+export function getRoleLabel(role) {
+    return ROLES[role] || ROLES[DEFAULT_ROLE];
+}
+
+export function can(role, permission) {
+    return (ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE]).includes(permission);
+}
+
+// ¿Puede el rol pasar una canción de previousState a state?
+export function canSetState(role, state, previousState = null) {
+    return state === previousState || !RESTRICTED_STATES.includes(state) || can(role, 'song:approve');
+}
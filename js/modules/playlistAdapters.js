@@ -0,0 +1,191 @@
+import { normalizeHeader } from './columnMapper.js';
+
+// Solo se leen artista, título y enlace; el estado y el tipo quedan vacíos para que
+// la importación use los valores por defecto ("Por aprobar") y no toque los de canciones existentes
+const PLAYLIST_FIELDS = ['artistName', 'songName', 'youtubeLink'];
+
+// Añadidos habituales en los títulos de YouTube que no forman parte del nombre de la canción
+const TITLE_NOISE = /\s*[([](?:official|oficial|video|vídeo|audio|lyrics?|letra|hd|hq|4k|visualizer|videoclip)[^)\]]*[)\]]/gi;
+
+function playlistEntry(line, { artistName = '', songName = '', youtubeLink = '' }) {
+    return {
+        line,
+        id: '',
+        mappedFields: PLAYLIST_FIELDS,
+        song: {
+            artistName: artistName.trim(),
+            songName: songName.trim(),
+            youtubeLink,
+            state: '',
+            type: '',
+            comments: ''
+        }
+    };
+}
+
+/**
+ * Extraer el ID de vídeo de cualquier forma de enlace de YouTube (watch, youtu.be, music, shorts).
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function youtubeVideoId(url) {
+    const match = String(url || '').match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)|youtu\.be\/)([\w-]{11})/);
+    return match ? match[1] : null;
+}
+
+function youtubeUrl(videoId) {
+    return videoId ? `https://www.youtube.com/watch?v=${videoId}` : '';
+}
+
+/**
+ * Separar "Artista - Título" y limpiar los añadidos del tipo "(Official Video)".
+ * Si el título no trae artista se usa el canal, sin el sufijo " - Topic" ni "VEVO".
+ * @param {string} title
+ * @param {string} channel
+ * @returns {{artistName: string, songName: string}}
+ */
+export function splitTrackTitle(title, channel = '') {
+    const clean = String(title || '').replace(TITLE_NOISE, '').trim();
+    const separator = clean.match(/\s+[-–—]\s+/);
+    if (separator) {
+        return {
+            artistName: clean.slice(0, separator.index),
+            songName: clean.slice(separator.index + separator[0].length)
+        };
+    }
+    return {
+        artistName: String(channel || '').replace(/\s+-\s+Topic$/i, '').replace(/VEVO$/i, '').trim(),
+        songName: clean
+    };
+}
+
+/**
+ * Leer una lista M3U/M3U8. El título sale de la línea #EXTINF o, si no hay, del nombre del archivo.
+ * @param {string} text
+ * @returns {Array<Object>} Entradas con la forma de CSVImporter.songsFromRecords
+ */
+export function parseM3U(text) {
+    const entries = [];
+    let info = null;
+
+    text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('#')) {
+            // #EXTINF:duración [atributos="..."],Artista - Título
+            const match = line.match(/^#EXTINF:\s*-?[\d.]+((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/i);
+            if (match) {
+                info = { title: match[2], line: index + 1 };
+            }
+            return;
+        }
+
+        const videoId = youtubeVideoId(line);
+        const title = info ? info.title : fileTitle(line);
+        entries.push(playlistEntry(info ? info.line : index + 1, {
+            ...splitTrackTitle(title),
+            youtubeLink: youtubeUrl(videoId)
+        }));
+        info = null;
+    });
+
+    return entries;
+}
+
+// Nombre del archivo sin carpeta ni extensión, p. ej. "Artista - Título" de ".../Artista%20-%20Título.mp3"
+function fileTitle(location) {
+    const name = location.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+// Cabeceras de una exportación de Spotify hecha con Exportify
+function isExportify(headers) {
+    return headers.includes('track name') && headers.includes('artist name(s)');
+}
+
+// Cabeceras de una lista de YouTube (Google Takeout o herramientas parecidas)
+function isYouTubeList(headers) {
+    return headers.includes('video id');
+}
+
+/**
+ * Reconocer una lista de reproducción en los registros de un CSV y convertirla en entradas de importación.
+ * Las listas de Google Takeout empiezan con un bloque de datos de la lista antes de la cabecera de los vídeos.
+ * @param {Array<{values: string[], line: number}>} records
+ * @returns {{source: string, entries: Array<Object>}|null} null si el CSV no es una lista conocida
+ */
+export function adaptPlaylistRecords(records) {
+    const headerIndex = records.findIndex(record => {
+        const headers = record.values.map(normalizeHeader);
+        return isExportify(headers) || isYouTubeList(headers);
+    });
+    // La cabecera de una lista siempre está al principio del archivo
+    if (headerIndex === -1 || headerIndex > 5) {
+        return null;
+    }
+
+    const headers = records[headerIndex].values.map(normalizeHeader);
+    const rows = records.slice(headerIndex + 1).filter(record => record.values.some(value => value.trim() !== ''));
+    const column = (...names) => names.map(name => headers.indexOf(name)).find(index => index !== -1) ?? -1;
+    const read = (values, index) => index === -1 ? '' : (values[index] || '').trim();
+
+    if (isExportify(headers)) {
+        const titleIndex = column('track name');
+        const artistIndex = column('artist name(s)');
+        return {
+            source: 'Spotify (Exportify)',
+            entries: rows.map(({ values, line }) => playlistEntry(line, {
+                // Exportify separa los artistas con comas sin espacio
+                artistName: read(values, artistIndex).split(',').map(artist => artist.trim()).filter(Boolean).join(', '),
+                songName: read(values, titleIndex)
+            }))
+        };
+    }
+
+    const idIndex = column('video id');
+    const titleIndex = column('video title', 'title', 'titulo');
+    const channelIndex = column('channel title', 'channel', 'canal', 'artist');
+    return {
+        source: 'YouTube',
+        entries: rows.map(({ values, line }) => playlistEntry(line, {
+            ...splitTrackTitle(read(values, titleIndex), read(values, channelIndex)),
+            youtubeLink: youtubeUrl(read(values, idIndex))
+        }))
+    };
+}
+
+/**
+ * Leer una lista de YouTube en JSON: elementos de playlistItems de la API (o de Takeout)
+ * o entradas del historial de reproducciones de Takeout.
+ * @param {*} data - JSON ya interpretado
+ * @returns {Array<Object>}
+ */
+export function parseYouTubeJSON(data) {
+    const items = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : null);
+    if (!items) {
+        throw new Error('El JSON no es una lista de reproducción de YouTube');
+    }
+
+    return items.map((item, index) => {
+        const snippet = item.snippet || {};
+        if (snippet.resourceId || snippet.title) {
+            return playlistEntry(index + 1, {
+                ...splitTrackTitle(snippet.title, snippet.videoOwnerChannelTitle || snippet.channelTitle),
+                youtubeLink: youtubeUrl(snippet.resourceId && snippet.resourceId.videoId)
+            });
+        }
+
+        // Historial: "Has visto <título>" / "Watched <título>", con el canal en subtitles
+        const title = String(item.title || '').replace(/^(Has visto|Watched)\s+/i, '');
+        const channel = Array.isArray(item.subtitles) && item.subtitles[0] ? item.subtitles[0].name : '';
+        return playlistEntry(index + 1, {
+            ...splitTrackTitle(title, channel),
+            youtubeLink: youtubeUrl(youtubeVideoId(item.titleUrl))
+        });
+    });
+}
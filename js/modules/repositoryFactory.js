@@ -0,0 +1,25 @@
+import { FirebaseManager } from './firebaseManager.js';
+import { StorageManager } from './storageManager.js';
+import { MemoryManager } from './memoryManager.js';
+import { ConfigError } from './configLoader.js';
+
+export const REPOSITORY_BACKENDS = ['firebase', 'local', 'memory'];
+
+/**
+ * Crear el repositorio de canciones para el backend de la configuración
+ * @param {Object} config - Configuración de la aplicación (backend, firebase, emulator, storageKey, seedSongs)
+ * @returns {SongRepository} Repositorio
+ */
+export function createSongRepository(config = {}) {
+    switch (config.backend || 'firebase') {
+        case 'local':
+            return new StorageManager(config.storageKey);
+        case 'memory':
+            return new MemoryManager(config.seedSongs || []);
+        case 'firebase':
+            return new FirebaseManager(config);
+        default:
+            throw new ConfigError(`Backend de canciones desconocido: ${config.backend}`,
+                `Los backends disponibles son: ${REPOSITORY_BACKENDS.join(', ')}.`);
+    }
+}
@@ -0,0 +1,500 @@
+import { ValidationUtils } from '../utils/index.js';
+import { SONG_STATES, SONG_TYPES, normalizeText } from './songFields.js';
+
+// Nombres que se pueden usar antes de ":" (ya normalizados) y el campo al que se refieren
+const FIELD_NAMES = {
+    artista: 'artistName', artist: 'artistName', interprete: 'artistName',
+    cancion: 'songName', nombre: 'songName', titulo: 'songName', tema: 'songName', song: 'songName',
+    estado: 'state', state: 'state',
+    tipo: 'type', type: 'type',
+    comentario: 'comments', comentarios: 'comments', comments: 'comments', comment: 'comments',
+    youtube: 'youtubeLink', enlace: 'youtubeLink'
+};
+
+// Nombre con el que se escribe cada campo al generar una consulta
+const FIELD_PREFIXES = { state: 'estado', type: 'tipo' };
+
+// Valores admitidos en los campos de lista cerrada
+const FIELD_VALUES = { state: SONG_STATES, type: SONG_TYPES };
+
+// Campos en los que busca un término sin campo, y cuánto pesa en la relevancia una coincidencia en cada uno
+const TEXT_FIELDS = ['songName', 'artistName', 'comments'];
+const FIELD_WEIGHTS = { songName: 3, artistName: 2, comments: 1, youtubeLink: 1 };
+
+// Calidad de cada forma de coincidir con un término
+const MATCH_QUALITY = { word: 1, prefix: 0.8, substring: 0.6, typo: 0.4 };
+
+/**
+ * Error de sintaxis en la consulta; position es el carácter (desde 0) donde se detectó.
+ */
+export class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    const isSpace = (char) => /\s/.test(char);
+    const isBoundary = (char) => char === undefined || isSpace(char) || char === '(' || char === ')';
+
+    const readQuoted = () => {
+        const start = i;
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) {
+            throw new QuerySyntaxError('Faltan las comillas de cierre', start);
+        }
+        i = end + 1;
+        return query.slice(start + 1, end);
+    };
+
+    const readBare = (stopAtComma) => {
+        const start = i;
+        while (i < query.length && !isBoundary(query[i]) && query[i] !== '"' && !(stopAtComma && query[i] === ',')) {
+            i++;
+        }
+        return query.slice(start, i);
+    };
+
+    while (i < query.length) {
+        const char = query[i];
+        if (isSpace(char)) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN', start, end: ++i });
+            continue;
+        }
+        if (char === '|' || (query.startsWith('OR', i) && isBoundary(query[i + 2]))) {
+            i += char === '|' ? 1 : 2;
+            tokens.push({ type: 'OR', start, end: i });
+            continue;
+        }
+        if (char === '-') {
+            i++;
+            if (isBoundary(query[i])) {
+                throw new QuerySyntaxError('Falta el término después de "-"', start);
+            }
+            tokens.push({ type: 'NOT', start, end: i });
+            continue;
+        }
+
+        if (char === '"') {
+            tokens.push({ type: 'TERM', field: null, values: [readQuoted()], start, end: i });
+            continue;
+        }
+
+        // Palabra suelta o campo:valor
+        const word = readBare(false);
+        const colon = word.indexOf(':');
+        // "https://..." es un término, no un campo
+        if (colon <= 0 || word.startsWith('//', colon + 1)) {
+            tokens.push({ type: 'TERM', field: null, values: [word], start, end: i });
+            continue;
+        }
+
+        const name = word.slice(0, colon);
+        const field = FIELD_NAMES[normalizeText(name)];
+        if (!field) {
+            throw new QuerySyntaxError(`Campo desconocido "${name}": usa artista:, cancion:, estado:, tipo: o comentario:`, start);
+        }
+
+        // Volver a leer el valor tras los dos puntos: puede ir entre comillas y tener varias opciones separadas por comas
+        i = start + colon + 1;
+        const values = [];
+        do {
+            if (query[i] === ',') i++;
+            const value = query[i] === '"' ? readQuoted() : readBare(true);
+            if (value !== '') values.push(value);
+        } while (query[i] === ',');
+
+        if (values.length === 0) {
+            throw new QuerySyntaxError(`Falta el valor después de "${name}:"`, start);
+        }
+        tokens.push({ type: 'TERM', field, name, values, start, end: i });
+    }
+
+    return tokens;
+}
+
+// Traducir los valores de estado o tipo a los admitidos ("grabacion" → "En grabación")
+function resolveValues(field, name, values, position) {
+    const allowed = FIELD_VALUES[field];
+    return values.flatMap(value => {
+        const normalized = normalizeText(value);
+        const exact = allowed.filter(option => normalizeText(option) === normalized);
+        const matches = exact.length > 0 ? exact : allowed.filter(option => normalizeText(option).includes(normalized));
+        if (matches.length === 0) {
+            throw new QuerySyntaxError(`Valor desconocido "${value}" para ${name}: (${allowed.join(', ')})`, position);
+        }
+        return matches;
+    });
+}
+
+/**
+ * Convertir la consulta del buscador en un árbol de filtros.
+ *
+ *   artista:"Los Ángeles Azules" estado:listo,aprobado -tipo:lento comentario:capo
+ *
+ * Los términos separados por espacios se combinan con Y; OR (o |) combina alternativas,
+ * "-" niega el término siguiente y los paréntesis agrupan.
+ * Nodos: { type: 'and'|'or', children }, { type: 'not', child } y
+ * { type: 'term', field, values, start, end } (field null = nombre, artista o comentarios).
+ * @param {string} query
+ * @returns {Object|null} null si la consulta está vacía
+ * @throws {QuerySyntaxError}
+ */
+export function parseQuery(query) {
+    const tokens = tokenize(query);
+    let index = 0;
+
+    const peek = () => tokens[index];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            index++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+            children.push(parseUnary());
+        }
+        if (children.length === 0) {
+            const token = peek() || tokens[index - 1];
+            throw new QuerySyntaxError('Falta un término antes o después de OR', token ? token.start : 0);
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = tokens[index++];
+        if (token.type === 'NOT') {
+            if (!peek() || peek().type === 'OR' || peek().type === 'RPAREN') {
+                throw new QuerySyntaxError('Falta el término después de "-"', token.start);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === 'LPAREN') {
+            const node = parseOr();
+            if (!peek() || peek().type !== 'RPAREN') {
+                throw new QuerySyntaxError('Falta cerrar el paréntesis', token.start);
+            }
+            index++;
+            return node;
+        }
+
+        const values = FIELD_VALUES[token.field]
+            ? resolveValues(token.field, token.name, token.values, token.start)
+            : token.values.map(normalizeText);
+        return { type: 'term', field: token.field, values, start: token.start, end: token.end };
+    };
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+        throw new QuerySyntaxError('Paréntesis de cierre sin abrir', tokens[index].start);
+    }
+    return ast;
+}
+
+/**
+ * Filtro que busca todo el texto tal cual en nombre, artista y comentarios,
+ * para cuando la consulta no se puede interpretar.
+ * @param {string} query
+ * @returns {Object|null}
+ */
+export function plainTextQuery(query) {
+    const value = normalizeText(query);
+    return value ? { type: 'term', field: null, values: [value], start: 0, end: query.length } : null;
+}
+
+// Texto plegado (sin acentos ni mayúsculas) de cada campo de cada canción. Las canciones
+// se reemplazan al modificarse, así que la caché se invalida sola.
+const foldedCache = new WeakMap();
+
+/**
+ * Plegar el texto conservando, para cada carácter, su posición en el original
+ * (para poder resaltar la coincidencia en el texto con acentos).
+ * @param {string} text
+ * @returns {{text: string, positions: number[]}}
+ */
+function foldText(text) {
+    let folded = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+        const chars = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (const char of chars) {
+            folded += char;
+            positions.push(i);
+        }
+    }
+    return { text: folded, positions };
+}
+
+function foldedField(song, field) {
+    let fields = foldedCache.get(song);
+    if (!fields) {
+        fields = {};
+        foldedCache.set(song, fields);
+    }
+    if (!fields[field]) {
+        const folded = foldText(String(song[field] || ''));
+        const words = [];
+        for (const match of folded.text.matchAll(/[a-z0-9]+/g)) {
+            words.push({ text: match[0], start: match.index });
+        }
+        fields[field] = { ...folded, words };
+    }
+    return fields[field];
+}
+
+// Errores de escritura admitidos según la longitud de lo buscado
+function allowedTypos(value) {
+    if (value.length < 4) return 0;
+    return value.length < 8 ? 1 : 2;
+}
+
+let distanceRows = [new Uint8Array(64), new Uint8Array(64)];
+
+/**
+ * ¿Se parece el valor a la palabra o a su comienzo, con como mucho max errores?
+ * Una sola pasada de distancia de edición: la última fila da la distancia del valor
+ * a cada prefijo de la palabra, incluida la palabra entera.
+ */
+function fuzzyWordMatch(value, word, max) {
+    if (word.length < value.length - max) return false;
+
+    // Filas reutilizadas entre llamadas: se evalúan miles de palabras en cada búsqueda
+    if (distanceRows[0].length <= word.length) {
+        distanceRows = [new Uint8Array(word.length + 1), new Uint8Array(word.length + 1)];
+    }
+    let [previous, current] = distanceRows;
+    for (let j = 0; j <= word.length; j++) previous[j] = j;
+
+    for (let i = 1; i <= value.length; i++) {
+        current[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= word.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (value[i - 1] === word[j - 1] ? 0 : 1));
+            if (current[j] < rowMin) rowMin = current[j];
+        }
+        // Ya no puede quedar por debajo del máximo
+        if (rowMin > max) return false;
+        [previous, current] = [current, previous];
+    }
+    for (let j = 0; j <= word.length; j++) {
+        if (previous[j] <= max) return true;
+    }
+    return false;
+}
+
+/**
+ * Buscar un valor ya normalizado en un campo de la canción.
+ * @returns {{quality: number, ranges: Array<[number, number]>}|null} ranges en posiciones del texto original
+ */
+function matchField(song, field, value) {
+    const folded = foldedField(song, field);
+    const toRange = (start, length) => [folded.positions[start], folded.positions[start + length - 1] + 1];
+
+    const index = folded.text.indexOf(value);
+    if (index !== -1) {
+        const word = folded.words.find(candidate => candidate.start === index);
+        let quality = MATCH_QUALITY.substring;
+        if (word) {
+            quality = word.text === value ? MATCH_QUALITY.word : MATCH_QUALITY.prefix;
+        }
+        return { quality, ranges: [toRange(index, value.length)] };
+    }
+
+    // Tolerancia a errores: solo para palabras sueltas, comparando con cada palabra o su comienzo
+    const typos = allowedTypos(value);
+    if (typos === 0 || value.includes(' ')) return null;
+
+    const ranges = folded.words
+        .filter(word => fuzzyWordMatch(value, word.text, typos))
+        .map(word => toRange(word.start, word.text.length));
+    return ranges.length > 0 ? { quality: MATCH_QUALITY.typo, ranges } : null;
+}
+
+// Mejor coincidencia del término en la canción, ponderada por el campo, con lo que hay que resaltar
+function scoreTerm(song, term) {
+    const fields = term.field ? [term.field] : TEXT_FIELDS;
+    let score = 0;
+    const highlights = {};
+
+    fields.forEach(field => {
+        term.values.forEach(value => {
+            const match = matchField(song, field, value);
+            if (!match) return;
+            score = Math.max(score, match.quality * (FIELD_WEIGHTS[field] || 1));
+            highlights[field] = [...(highlights[field] || []), ...match.ranges];
+        });
+    });
+    return { score, highlights };
+}
+
+function matchesTerm(song, term, scoreOf = scoreTerm) {
+    if (FIELD_VALUES[term.field]) {
+        return term.values.includes(song[term.field]);
+    }
+    return scoreOf(song, term).score > 0;
+}
+
+// Términos de texto que la canción debe cumplir (los negados no puntúan ni se resaltan)
+function positiveTextTerms(ast) {
+    if (!ast || ast.type === 'not') return [];
+    if (ast.type === 'term') return FIELD_VALUES[ast.field] ? [] : [ast];
+    return ast.children.flatMap(positiveTextTerms);
+}
+
+/**
+ * Filtrar las canciones con la consulta y ordenarlas por relevancia
+ * (coincidencias en el título antes que en el artista, y en el artista antes que en los comentarios).
+ * Sin términos de texto se conserva el orden recibido.
+ * @param {Object|null} ast - Resultado de parseQuery
+ * @param {Array<Object>} songs
+ * @returns {Array<{song: Object, score: number, highlights: Object}>} highlights: { campo: [[inicio, fin], ...] }
+ */
+export function searchSongs(ast, songs) {
+    const terms = positiveTextTerms(ast);
+    const results = [];
+
+    songs.forEach((song, index) => {
+        // Cada término se evalúa una sola vez por canción, para filtrar y para puntuar
+        const scores = new Map();
+        const scoreOf = (candidate, term) => {
+            if (!scores.has(term)) scores.set(term, scoreTerm(candidate, term));
+            return scores.get(term);
+        };
+        if (!matchesQuery(ast, song, scoreOf)) return;
+
+        let score = 0;
+        const highlights = {};
+        terms.forEach(term => {
+            const match = scoreOf(song, term);
+            score += match.score;
+            Object.entries(match.highlights).forEach(([field, ranges]) => {
+                highlights[field] = [...(highlights[field] || []), ...ranges];
+            });
+        });
+        results.push({ song, score, highlights, index });
+    });
+
+    if (terms.length > 0) {
+        results.sort((a, b) => b.score - a.score || a.index - b.index);
+    }
+    return results;
+}
+
+/**
+ * HTML del texto con las coincidencias marcadas; el resto se escapa.
+ * @param {string} text
+ * @param {Array<[number, number]>} ranges
+ * @returns {string}
+ */
+export function highlightMatches(text, ranges = []) {
+    const value = String(text || '');
+    if (ranges.length === 0) {
+        return ValidationUtils.escapeHtml(value);
+    }
+
+    // Unir los tramos que se solapan
+    const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((all, range) => {
+        const last = all[all.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            all.push([...range]);
+        }
+        return all;
+    }, []);
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += ValidationUtils.escapeHtml(value.slice(position, start));
+        html += `<mark class="bg-yellow-200 rounded-sm">${ValidationUtils.escapeHtml(value.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + ValidationUtils.escapeHtml(value.slice(position));
+}
+
+/**
+ * ¿Cumple la canción el filtro? Un árbol vacío (null) deja pasar todas.
+ * @param {Object|null} ast - Resultado de parseQuery
+ * @param {Object} song
+ * @returns {boolean}
+ */
+export function matchesQuery(ast, song, scoreOf = scoreTerm) {
+    if (!ast) return true;
+    switch (ast.type) {
+        case 'and': return ast.children.every(child => matchesQuery(child, song, scoreOf));
+        case 'or': return ast.children.some(child => matchesQuery(child, song, scoreOf));
+        case 'not': return !matchesQuery(ast.child, song, scoreOf);
+        default: return matchesTerm(song, ast, scoreOf);
+    }
+}
+
+// Términos que afectan a toda la consulta: los unidos con Y en el nivel superior
+function topLevelTerms(ast) {
+    if (!ast) return [];
+    if (ast.type === 'term') return [ast];
+    return ast.type === 'and' ? ast.children.filter(child => child.type === 'term') : [];
+}
+
+/**
+ * Valores de estado o tipo que la consulta exige en el nivel superior, para marcar las casillas.
+ * @returns {string[]} Vacío si la consulta no filtra por ese campo de forma directa
+ */
+export function getFieldSelection(ast, field) {
+    const terms = topLevelTerms(ast).filter(term => term.field === field);
+    return terms.length === 1 ? terms[0].values : [];
+}
+
+/**
+ * Reescribir la consulta para que filtre el campo por los valores indicados
+ * (lo que se marque en las casillas), conservando el resto del texto.
+ * @param {string} query
+ * @param {string} field - 'state' o 'type'
+ * @param {string[]} values - Vacío para quitar el filtro
+ * @returns {string}
+ */
+export function setFieldSelection(query, field, values) {
+    let ast = null;
+    try {
+        ast = parseQuery(query);
+    } catch (error) {
+        // Con la consulta a medio escribir no se puede localizar el término: se añade al final
+    }
+
+    let text = query;
+    topLevelTerms(ast)
+        .filter(term => term.field === field)
+        .sort((a, b) => b.start - a.start)
+        .forEach(term => {
+            text = text.slice(0, term.start) + text.slice(term.end);
+        });
+    text = text.replace(/\s+/g, ' ').trim();
+
+    if (values.length === 0) {
+        return text;
+    }
+    const quote = (value) => /[\s,"()]/.test(value) ? `"${value}"` : value;
+    const term = `${FIELD_PREFIXES[field]}:${values.map(quote).join(',')}`;
+    return text ? `${text} ${term}` : term;
+}
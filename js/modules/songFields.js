@@ -0,0 +1,79 @@
+/**
+ * Campos editables de una canción y utilidades para compararlos.
+ * Los timestamps y el ID quedan fuera: no forman parte de la "versión" de una canción.
+ */
+export const SONG_FIELDS = [
+    { key: 'artistName', label: 'Artista' },
+    { key: 'songName', label: 'Canción' },
+    { key: 'youtubeLink', label: 'YouTube' },
+    { key: 'state', label: 'Estado' },
+    { key: 'type', label: 'Tipo' },
+    { key: 'comments', label: 'Comentarios' }
+];
+
+export const SONG_FIELD_KEYS = SONG_FIELDS.map(field => field.key);
+
+// Valores admitidos, en el mismo orden que los desplegables del formulario
+export const SONG_STATES = ['Aprobado', 'Por aprobar', 'En grabación', 'Listo', 'Rechazado'];
+export const SONG_TYPES = ['Movido', 'Lento'];
+
+// Estados en el orden en que avanza una canción; "Rechazado" queda fuera del flujo
+export const STATE_WORKFLOW = ['Por aprobar', 'Aprobado', 'En grabación', 'Listo'];
+
+export function getFieldLabel(key) {
+    const field = SONG_FIELDS.find(candidate => candidate.key === key);
+    return field ? field.label : key;
+}
+
+// Copiar solo los campos editables (Firestore no admite undefined, se usa '')
+export function pickSongFields(song) {
+    return SONG_FIELD_KEYS.reduce((fields, key) => {
+        fields[key] = song && song[key] !== undefined && song[key] !== null ? song[key] : '';
+        return fields;
+    }, {});
+}
+
+// Diferencias campo a campo: { campo: { before, after } }
+export function diffSongFields(before, after) {
+    const previous = pickSongFields(before);
+    const next = pickSongFields(after);
+
+    return SONG_FIELD_KEYS.reduce((changes, key) => {
+        if (previous[key] !== next[key]) {
+            changes[key] = { before: previous[key], after: next[key] };
+        }
+        return changes;
+    }, {});
+}
+
+// Texto comparable: sin acentos, en minúsculas y con los espacios colapsados
+export function normalizeText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ¿Representan el mismo instante? Compara con precisión de milisegundos
+export function sameTimestamp(a, b) {
+    const first = toDate(a);
+    const second = toDate(b);
+    if (!first || !second) {
+        return !first && !second;
+    }
+    return first.getTime() === second.getTime();
+}
+
+// Convertir un timestamp de Firestore, una cadena ISO o un Date a Date. También acepta un
+// timestamp que perdió su clase al pasar por JSON ({ seconds, nanoseconds })
+export function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value.seconds === 'number') {
+        return new Date(value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6));
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
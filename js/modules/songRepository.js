@@ -0,0 +1,288 @@
+import { diffSongFields, pickSongFields, sameTimestamp, toDate } from './songFields.js';
+
+/**
+ * La canción cambió en el servidor desde la versión en la que se basaba la edición.
+ * serverSong es la copia actual del servidor.
+ */
+export class ConflictError extends Error {
+    constructor(serverSong) {
+        super('La canción fue modificada por otra persona mientras la editabas');
+        this.name = 'ConflictError';
+        this.serverSong = serverSong;
+    }
+}
+
+/**
+ * Una importación atómica falló y al deshacerla no se pudieron quitar todas las canciones ya agregadas.
+ * songs son las que siguen guardadas.
+ */
+export class ImportRollbackError extends Error {
+    constructor(songs, error, rollbackError) {
+        super(`${error.message}. Además, no se pudieron quitar ${songs.length} canciones ya agregadas: ${rollbackError.message}`);
+        this.name = 'ImportRollbackError';
+        this.songs = songs;
+    }
+}
+
+/**
+ * Interfaz común de los repositorios de canciones.
+ * FirebaseManager, StorageManager y MemoryManager la implementan para que
+ * SongManager pueda trabajar con cualquiera de ellos sin cambios.
+ */
+export class SongRepository {
+    constructor() {
+        this.isInitialized = false;
+        // Quién realiza los cambios, para el historial. El nombre es solo para mostrarlo;
+        // con cuentas de usuario la autoría la da el UID, que las reglas de Firestore comprueban
+        this.actor = 'Anónimo';
+        this.actorUid = null;
+    }
+
+    // Preparar el backend antes de usarlo. Lanza un error si no puede arrancar.
+    async initialize() {
+        this.isInitialized = true;
+    }
+
+    setActor(actor, actorUid = null) {
+        this.actor = actor || 'Anónimo';
+        this.actorUid = actorUid;
+    }
+
+    // Campos que registran quién creó o modificó por última vez una canción
+    authorshipFields(isNew = false) {
+        const fields = { updatedBy: this.actor };
+        if (this.actorUid) {
+            fields.updatedByUid = this.actorUid;
+        }
+        if (isNew) {
+            fields.createdBy = this.actor;
+            if (this.actorUid) {
+                fields.createdByUid = this.actorUid;
+            }
+        }
+        return fields;
+    }
+
+    // Perfil del usuario (rol) en los backends con cuentas
+    async getUserProfile(userId) {
+        return null;
+    }
+
+    // Cargar todas las canciones ordenadas por fecha de creación (más recientes primero)
+    async loadSongs() {
+        throw new Error(`${this.constructor.name} no implementa loadSongs()`);
+    }
+
+    // Generar un ID nuevo sin escribir nada (permite altas optimistas sin conexión)
+    generateId() {
+        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Agregar una canción y devolverla con su ID asignado. Si se indica songId se usa ese ID.
+    // options.writeId identifica la escritura para que reintentarla no la aplique dos veces
+    // (lo usan los backends remotos; los locales escriben de forma síncrona y lo ignoran).
+    async addSong(song, songId = null, options = {}) {
+        throw new Error(`${this.constructor.name} no implementa addSong()`);
+    }
+
+    // Agregar varias canciones. Con atomic, si alguna falla se deshacen las ya agregadas y se relanza el error
+    // (ImportRollbackError si alguna no se pudo quitar).
+    // Con keepIds se conservan los IDs que traen las canciones (p. ej. al rehacer una importación).
+    // options.writeId identifica la importación, igual que en addSong.
+    // Devuelve { added: canciones agregadas, failed: [{ song, error }] }
+    async addSongs(songs, { atomic = false, keepIds = false, writeId = null } = {}) {
+        const added = [];
+        const failed = [];
+
+        for (const song of songs) {
+            try {
+                const addedSong = await this.addSong(song, keepIds ? song.id : null);
+                if (!addedSong) {
+                    throw new Error('No se pudo guardar la canción');
+                }
+                added.push(addedSong);
+            } catch (error) {
+                if (atomic) {
+                    await this.rollbackAddedSongs(added, error);
+                    throw error;
+                }
+                failed.push({ song, error: error.message });
+            }
+        }
+
+        return { added, failed };
+    }
+
+    // Quitar las canciones de una importación atómica que falló; error es el fallo original
+    async rollbackAddedSongs(songs, error) {
+        const kept = [];
+        let rollbackError = null;
+        for (const song of songs) {
+            try {
+                await this.purgeSong(song.id);
+            } catch (purgeError) {
+                kept.push(song);
+                rollbackError = purgeError;
+            }
+        }
+
+        if (kept.length > 0) {
+            throw new ImportRollbackError(kept, error, rollbackError);
+        }
+    }
+
+    // Actualizar una canción existente. Con expectedUpdatedAt se rechaza la escritura (ConflictError)
+    // si la copia del servidor ya no es la versión en la que se basó la edición.
+    // Devuelve la canción guardada, con el updatedAt que quedó en el backend.
+    async updateSong(songId, updatedSong, { expectedUpdatedAt = null, writeId = null } = {}) {
+        throw new Error(`${this.constructor.name} no implementa updateSong()`);
+    }
+
+    // Mover una canción a la papelera (borrado lógico: se marca con trashedAt)
+    async deleteSong(songId, options = {}) {
+        throw new Error(`${this.constructor.name} no implementa deleteSong()`);
+    }
+
+    // Sacar una canción de la papelera
+    async restoreSong(songId, options = {}) {
+        throw new Error(`${this.constructor.name} no implementa restoreSong()`);
+    }
+
+    // Eliminar una canción definitivamente
+    async purgeSong(songId, options = {}) {
+        throw new Error(`${this.constructor.name} no implementa purgeSong()`);
+    }
+
+    // Unir dos canciones como una sola operación: actualizar la conservada (keepId) con fields y mover la
+    // otra a la papelera; con restoreOther se deshace la unión sacándola de ella. Devuelve la conservada.
+    // Los backends locales escriben de forma síncrona: comprobando antes de escribir no queda nada a medias.
+    async mergeSongs(keepId, fields, otherId, { restoreOther = false, expectedUpdatedAt = null } = {}) {
+        const songs = await this.loadSongs();
+        if (!songs.some(song => song.id === otherId)) {
+            throw new Error('La canción ya no existe');
+        }
+
+        const saved = await this.updateSong(keepId, fields, { expectedUpdatedAt });
+        if (!saved) {
+            throw new Error('La canción ya no existe');
+        }
+        await (restoreOther ? this.restoreSong(otherId) : this.deleteSong(otherId));
+        return saved;
+    }
+
+    // Restaurar una copia de seguridad conservando IDs y timestamps (cadenas ISO en songs).
+    // Con replace, las canciones que no están en la copia se eliminan definitivamente; si no, solo se
+    // agregan las que faltan y se actualizan las que en la copia son más recientes.
+    // Devuelve { added, updated, removed } con la cantidad de canciones afectadas.
+    async restoreBackup(songs, { replace = false } = {}) {
+        throw new Error(`${this.constructor.name} no implementa restoreBackup()`);
+    }
+
+    // Decidir qué canciones de la copia se escriben (con su versión actual, si existe) y cuáles se eliminan
+    planBackupRestore(currentSongs, backupSongs, replace) {
+        const currentById = new Map(currentSongs.map(song => [song.id, song]));
+        const backupIds = new Set(backupSongs.map(song => song.id));
+        const time = (song) => toDate(song.updatedAt)?.getTime() || 0;
+
+        const writes = backupSongs
+            .map(song => ({ song, before: currentById.get(song.id) || null }))
+            .filter(({ song, before }) => replace || !before || time(song) > time(before));
+        const removals = replace ? currentSongs.filter(song => !backupIds.has(song.id)) : [];
+
+        return {
+            writes,
+            removals,
+            summary: {
+                added: writes.filter(write => !write.before).length,
+                updated: writes.filter(write => write.before).length,
+                removed: removals.length
+            }
+        };
+    }
+
+    // Historial de cambios de una canción, del más reciente al más antiguo.
+    // Cada entrada: { action: 'create'|'update'|'trash'|'restore'|'delete'|'backup', actor, at, changes: { campo: { before, after } }, snapshot }
+    async getHistory(songId) {
+        return [];
+    }
+
+    // Lanzar ConflictError si la versión actual no coincide con la esperada
+    assertNotModified(currentSong, expectedUpdatedAt) {
+        if (expectedUpdatedAt && !sameTimestamp(currentSong.updatedAt, expectedUpdatedAt)) {
+            throw new ConflictError(currentSong);
+        }
+    }
+
+    // Construir una entrada de historial a partir de la versión anterior y la nueva
+    createHistoryEntry(action, before, after) {
+        return {
+            action,
+            actor: this.actor,
+            actorUid: this.actorUid,
+            at: new Date().toISOString(),
+            changes: diffSongFields(before, after),
+            // Versión resultante (la eliminada, en las bajas) para poder restaurarla
+            snapshot: pickSongFields(action === 'delete' ? before : after)
+        };
+    }
+
+    // Suscribirse a cambios remotos. onChanges recibe [{ type: 'added'|'modified'|'removed', song }].
+    // Los backends sin tiempo real no emiten nada. Devuelve la función para cancelar la suscripción.
+    subscribe(onChanges) {
+        return () => {};
+    }
+
+    // Ajustes comunes a todos los usuarios de la biblioteca (p. ej. la retención de la papelera).
+    // Los backends locales los guardan, como sus canciones, en este navegador.
+    async loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('librarySettings')) || {};
+        } catch (error) {
+            console.error('Error al cargar los ajustes:', error);
+            return {};
+        }
+    }
+
+    async saveSettings(settings) {
+        const current = await this.loadSettings();
+        localStorage.setItem('librarySettings', JSON.stringify({ ...current, ...settings }));
+    }
+
+    // Vistas guardadas del usuario (búsqueda, orden y columnas). Sin cuentas de usuario
+    // se guardan en este navegador; FirebaseManager las guarda con el perfil de cada uno.
+    async loadViews(userId) {
+        try {
+            return JSON.parse(localStorage.getItem('savedViews')) || [];
+        } catch (error) {
+            console.error('Error al cargar las vistas guardadas:', error);
+            return [];
+        }
+    }
+
+    // Crear o reemplazar una vista; la vista ya trae su id
+    async saveView(userId, view) {
+        const views = await this.loadViews(userId);
+        const index = views.findIndex(existing => existing.id === view.id);
+        if (index !== -1) {
+            views[index] = view;
+        } else {
+            views.push(view);
+        }
+        localStorage.setItem('savedViews', JSON.stringify(views));
+    }
+
+    async deleteView(userId, viewId) {
+        const views = (await this.loadViews(userId)).filter(existing => existing.id !== viewId);
+        localStorage.setItem('savedViews', JSON.stringify(views));
+    }
+
+    // Migración desde el formato antiguo de localStorage (opcional)
+    async migrateFromLocalStorage() {
+        return;
+    }
+
+    // Ordenar canciones por createdAt descendente, igual que la consulta de Firestore
+    sortByCreatedAtDesc(songs) {
+        return [...songs].sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    }
+}
@@ -0,0 +1,188 @@
+import { STATE_WORKFLOW, SONG_TYPES, toDate } from './songFields.js';
+
+const SORT_KEY = 'tableSort';
+
+// Parámetro de la URL con el orden, p. ej. ?orden=state,-artistName (el guion indica descendente)
+export const SORT_PARAM = 'orden';
+
+// Columnas por las que se puede ordenar la tabla
+export const SORT_COLUMNS = {
+    artistName: 'Artista',
+    songName: 'Canción',
+    state: 'Estado',
+    type: 'Tipo',
+    createdAt: 'Alta',
+    updatedAt: 'Modificación'
+};
+
+// Los estados se ordenan según avanza una canción; "Rechazado" va al final
+const STATE_ORDER = [...STATE_WORKFLOW, 'Rechazado'];
+
+const collator = new Intl.Collator('es', { sensitivity: 'base', numeric: true });
+
+function orderIndex(order, value) {
+    const index = order.indexOf(value);
+    return index === -1 ? order.length : index;
+}
+
+function compareBy(key, a, b) {
+    switch (key) {
+        case 'state':
+            return orderIndex(STATE_ORDER, a.state) - orderIndex(STATE_ORDER, b.state);
+        case 'type':
+            return orderIndex(SONG_TYPES, a.type) - orderIndex(SONG_TYPES, b.type);
+        case 'createdAt':
+        case 'updatedAt':
+            return (toDate(a[key])?.getTime() || 0) - (toDate(b[key])?.getTime() || 0);
+        default:
+            return collator.compare(a[key] || '', b[key] || '');
+    }
+}
+
+/**
+ * Ordenar canciones por varias claves: [{ key, direction: 'asc'|'desc' }], la primera manda.
+ * El orden es estable: ante un empate se conserva el orden recibido (p. ej. la relevancia de la búsqueda).
+ * @param {Array<Object>} songs
+ * @param {Array<{key: string, direction: string}>} sortKeys
+ * @returns {Array<Object>} Copia ordenada
+ */
+export function sortSongs(songs, sortKeys) {
+    if (sortKeys.length === 0) return songs;
+
+    return [...songs].sort((a, b) => {
+        for (const { key, direction } of sortKeys) {
+            const result = compareBy(key, a, b);
+            if (result !== 0) {
+                return direction === 'desc' ? -result : result;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Escribir el orden como valor del parámetro de la URL.
+ * @param {Array<{key: string, direction: string}>} sortKeys
+ * @returns {string} p. ej. "state,-artistName"
+ */
+export function formatSortParam(sortKeys) {
+    return sortKeys.map(({ key, direction }) => `${direction === 'desc' ? '-' : ''}${key}`).join(',');
+}
+
+/**
+ * Leer el orden del parámetro de la URL; se ignoran las columnas desconocidas y las repetidas.
+ * @param {string} value
+ * @returns {Array<{key: string, direction: string}>}
+ */
+export function parseSortParam(value) {
+    const sortKeys = [];
+    String(value || '').split(',').map(token => token.trim()).forEach(token => {
+        const key = token.replace(/^-/, '');
+        if (SORT_COLUMNS[key] && !sortKeys.some(sortKey => sortKey.key === key)) {
+            sortKeys.push({ key, direction: token.startsWith('-') ? 'desc' : 'asc' });
+        }
+    });
+    return sortKeys;
+}
+
+/**
+ * Texto del orden para mostrarlo o exportarlo, p. ej. "Estado (ascendente), Artista (descendente)".
+ * @param {Array<{key: string, direction: string}>} sortKeys
+ * @returns {string} Vacío si no hay orden
+ */
+export function describeSort(sortKeys) {
+    return sortKeys
+        .map(({ key, direction }) => `${SORT_COLUMNS[key]} (${direction === 'asc' ? 'ascendente' : 'descendente'})`)
+        .join(', ');
+}
+
+/**
+ * Orden de la tabla elegido con las cabeceras: clic para ordenar por una columna
+ * (ascendente, descendente y sin orden), mayúsculas+clic para añadir columnas secundarias.
+ * Las exportaciones usan la lista ya ordenada.
+ */
+export class SortManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.sortKeys = this.loadSortKeys();
+        this.initializeEventListeners();
+        this.renderHeaders();
+    }
+
+    initializeEventListeners() {
+        document.querySelectorAll('[data-sort-key]').forEach(header => {
+            header.addEventListener('click', (e) => this.toggle(header.getAttribute('data-sort-key'), e.shiftKey));
+        });
+    }
+
+    // Un enlace compartido con orden manda sobre el último orden guardado
+    loadSortKeys() {
+        const fromUrl = new URLSearchParams(window.location.search).get(SORT_PARAM);
+        if (fromUrl !== null) {
+            return parseSortParam(fromUrl);
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(SORT_KEY)) || [];
+            return saved.filter(({ key, direction }) => SORT_COLUMNS[key] && ['asc', 'desc'].includes(direction));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    setSortKeys(sortKeys, { history = 'push' } = {}) {
+        this.sortKeys = sortKeys;
+        localStorage.setItem(SORT_KEY, JSON.stringify(sortKeys));
+        this.renderHeaders();
+        this.songManager.filterManager.applyFilters({ animate: false }, { history });
+    }
+
+    toggle(key, addKey = false) {
+        const current = this.sortKeys.find(sortKey => sortKey.key === key);
+
+        if (addKey) {
+            // Columna secundaria: se añade al final o se invierte/quita si ya estaba
+            if (!current) {
+                this.setSortKeys([...this.sortKeys, { key, direction: 'asc' }]);
+            } else if (current.direction === 'asc') {
+                this.setSortKeys(this.sortKeys.map(sortKey => sortKey.key === key ? { key, direction: 'desc' } : sortKey));
+            } else {
+                this.setSortKeys(this.sortKeys.filter(sortKey => sortKey.key !== key));
+            }
+            return;
+        }
+
+        if (!current || this.sortKeys.length > 1) {
+            this.setSortKeys([{ key, direction: 'asc' }]);
+        } else if (current.direction === 'asc') {
+            this.setSortKeys([{ key, direction: 'desc' }]);
+        } else {
+            this.setSortKeys([]);
+        }
+    }
+
+    sort(songs) {
+        return sortSongs(songs, this.sortKeys);
+    }
+
+    describe() {
+        return describeSort(this.sortKeys);
+    }
+
+    renderHeaders() {
+        document.querySelectorAll('[data-sort-key]').forEach(header => {
+            const key = header.getAttribute('data-sort-key');
+            const index = this.sortKeys.findIndex(sortKey => sortKey.key === key);
+            const indicator = header.querySelector('.sort-indicator');
+
+            if (index === -1) {
+                indicator.textContent = '';
+                header.removeAttribute('aria-sort');
+                return;
+            }
+            const { direction } = this.sortKeys[index];
+            indicator.textContent = (direction === 'asc' ? '▲' : '▼') + (this.sortKeys.length > 1 ? index + 1 : '');
+            header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+        });
+    }
+}
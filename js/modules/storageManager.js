@@ -1,10 +1,16 @@
-export class StorageManager {
-    constructor() {
-        this.storageKey = 'songs';
+import { SongRepository } from './songRepository.js';
+
+export class StorageManager extends SongRepository {
+    constructor(storageKey = 'songLibrary') {
+        super();
+        // La clave 'songs' queda reservada para la migración antigua a Firebase
+        this.storageKey = storageKey;
+        this.historyKey = `${storageKey}History`;
+        this.isInitialized = true;
     }
 
-    // Cargar canciones desde localStorage
-    loadSongs() {
+    // Leer canciones desde localStorage
+    readSongs() {
         try {
             const stored = localStorage.getItem(this.storageKey);
             return stored ? JSON.parse(stored) : [];
@@ -25,57 +31,167 @@ export class StorageManager {
         }
     }
 
+    generateId() {
+        return this.generateUniqueId();
+    }
+
     // Generar ID único
     generateUniqueId() {
         return Date.now().toString() + Math.random().toString(36).substr(2, 9);
     }
 
+    // Cargar canciones ordenadas como en Firebase
+    async loadSongs() {
+        return this.sortByCreatedAtDesc(this.readSongs());
+    }
+
     // Agregar una nueva canción
-    addSong(song) {
-        const songs = this.loadSongs();
-        const newSong = { ...song, id: this.generateUniqueId() };
+    async addSong(song, songId = null) {
+        const songs = this.readSongs();
+        const { id, ...songWithoutId } = song;
+        const now = new Date().toISOString();
+        const newSong = { ...songWithoutId, ...this.authorshipFields(true), id: songId || this.generateUniqueId(), createdAt: now, updatedAt: now };
+        if (songs.some(existing => existing.id === newSong.id)) {
+            // Reintento de un alta ya aplicada
+            return songs.find(existing => existing.id === newSong.id);
+        }
         songs.push(newSong);
         
         if (this.saveSongs(songs)) {
+            this.appendHistory(newSong.id, this.createHistoryEntry('create', null, newSong));
             return newSong;
         }
         return null;
     }
 
     // Actualizar una canción existente
-    updateSong(songId, updatedSong) {
-        const songs = this.loadSongs();
+    async updateSong(songId, updatedSong, { expectedUpdatedAt = null } = {}) {
+        const songs = this.readSongs();
         const index = songs.findIndex(song => song.id === songId);
         
         if (index !== -1) {
-            songs[index] = { ...updatedSong, id: songId };
+            const previous = songs[index];
+            this.assertNotModified(previous, expectedUpdatedAt);
+            songs[index] = { ...previous, ...updatedSong, ...this.authorshipFields(), id: songId, updatedAt: new Date().toISOString() };
             if (this.saveSongs(songs)) {
+                this.appendHistory(songId, this.createHistoryEntry('update', previous, songs[index]));
                 return songs[index];
             }
         }
         return null;
     }
 
-    // Eliminar una canción
-    deleteSong(songId) {
-        const songs = this.loadSongs();
+    // Mover una canción a la papelera
+    async deleteSong(songId) {
+        const songs = this.readSongs();
+        const index = songs.findIndex(song => song.id === songId);
+        if (index === -1) {
+            return false;
+        }
+
+        const previous = songs[index];
+        const now = new Date().toISOString();
+        songs[index] = { ...previous, ...this.authorshipFields(), trashedAt: now, trashedBy: this.actor, updatedAt: now };
+
+        if (this.saveSongs(songs)) {
+            this.appendHistory(songId, this.createHistoryEntry('trash', previous, songs[index]));
+            return true;
+        }
+        return false;
+    }
+
+    // Sacar una canción de la papelera
+    async restoreSong(songId) {
+        const songs = this.readSongs();
+        const index = songs.findIndex(song => song.id === songId);
+        if (index === -1) {
+            return false;
+        }
+
+        const previous = songs[index];
+        const { trashedAt, trashedBy, ...restored } = previous;
+        songs[index] = { ...restored, ...this.authorshipFields(), updatedAt: new Date().toISOString() };
+
+        if (this.saveSongs(songs)) {
+            this.appendHistory(songId, this.createHistoryEntry('restore', previous, songs[index]));
+            return true;
+        }
+        return false;
+    }
+
+    // Eliminar una canción definitivamente
+    async purgeSong(songId) {
+        const songs = this.readSongs();
+        const deletedSong = songs.find(song => song.id === songId);
         const filteredSongs = songs.filter(song => song.id !== songId);
         
         if (this.saveSongs(filteredSongs)) {
+            if (deletedSong) {
+                this.appendHistory(songId, this.createHistoryEntry('delete', deletedSong, null));
+            }
             return true;
         }
         return false;
     }
 
+    // Leer el historial completo { songId: [entradas] }
+    readHistory() {
+        try {
+            const stored = localStorage.getItem(this.historyKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error al cargar el historial desde localStorage:', error);
+            return {};
+        }
+    }
+
+    // Registrar un cambio en el historial de una canción
+    appendHistory(songId, entry) {
+        // Las ediciones que no cambian ningún campo no dejan rastro
+        if (['update', 'backup'].includes(entry.action) && Object.keys(entry.changes).length === 0) return;
+
+        const history = this.readHistory();
+        history[songId] = [entry, ...(history[songId] || [])];
+        try {
+            localStorage.setItem(this.historyKey, JSON.stringify(history));
+        } catch (error) {
+            console.error('Error al guardar el historial en localStorage:', error);
+        }
+    }
+
+    async getHistory(songId) {
+        return this.readHistory()[songId] || [];
+    }
+
+    async restoreBackup(songs, { replace = false } = {}) {
+        const current = this.readSongs();
+        const { writes, removals, summary } = this.planBackupRestore(current, songs, replace);
+        const removedIds = new Set(removals.map(song => song.id));
+        const byId = new Map(current.filter(song => !removedIds.has(song.id)).map(song => [song.id, song]));
+
+        const now = new Date().toISOString();
+        writes.forEach(({ song }) => {
+            byId.set(song.id, { ...song, createdAt: song.createdAt || now, updatedAt: song.updatedAt || now });
+        });
+
+        if (!this.saveSongs(Array.from(byId.values()))) {
+            throw new Error('No se pudo guardar la copia de seguridad en el almacenamiento local');
+        }
+
+        writes.forEach(({ song, before }) => this.appendHistory(song.id, this.createHistoryEntry('backup', before, byId.get(song.id))));
+        removals.forEach(song => this.appendHistory(song.id, this.createHistoryEntry('delete', song, null)));
+        return summary;
+    }
+
     // Obtener una canción por ID
     getSongById(songId) {
-        const songs = this.loadSongs();
+        const songs = this.readSongs();
         return songs.find(song => song.id === songId) || null;
     }
 
     // Buscar canciones por criterios
     searchSongs(criteria) {
-        const songs = this.loadSongs();
+        const songs = this.readSongs();
         return songs.filter(song => {
             const matchesSearch = !criteria.search || 
                 song.songName.toLowerCase().includes(criteria.search.toLowerCase()) ||
@@ -93,6 +209,7 @@ export class StorageManager {
     clearAll() {
         try {
             localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(this.historyKey);
             return true;
         } catch (error) {
             console.error('Error al limpiar datos:', error);
@@ -100,32 +217,9 @@ export class StorageManager {
         }
     }
 
-    // Exportar datos (para backup)
-    exportData() {
-        const songs = this.loadSongs();
-        return {
-            songs: songs,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
-        };
-    }
-
-    // Importar datos (para restore)
-    importData(data) {
-        try {
-            if (data && data.songs && Array.isArray(data.songs)) {
-                return this.saveSongs(data.songs);
-            }
-            return false;
-        } catch (error) {
-            console.error('Error al importar datos:', error);
-            return false;
-        }
-    }
-
     // Obtener estadísticas
     getStats() {
-        const songs = this.loadSongs();
+        const songs = this.readSongs();
         const stats = {
             total: songs.length,
             byState: {},
@@ -149,7 +243,7 @@ export class StorageManager {
 
     // Verificar si hay datos
     hasData() {
-        const songs = this.loadSongs();
+        const songs = this.readSongs();
         return songs.length > 0;
     }
 
@@ -165,7 +259,7 @@ export class StorageManager {
 
     // Regenerar IDs únicos para todas las canciones
     regenerateAllIds() {
-        const songs = this.loadSongs();
+        const songs = this.readSongs();
         const updatedSongs = songs.map(song => ({
             ...song,
             id: this.generateUniqueId()
@@ -0,0 +1,165 @@
+import { ValidationUtils } from '../utils/index.js';
+import { toDate } from './songFields.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TrashManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        // Ajustes comunes de la biblioteca; null mientras no se hayan podido cargar
+        this.settings = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('trashBtn').addEventListener('click', () => this.showTrash());
+        document.getElementById('trashCloseBtn').addEventListener('click', () => this.hideTrash());
+        document.getElementById('trashRetentionDays').addEventListener('change', (e) => this.setRetentionDays(e.target.value));
+        document.getElementById('trashList').addEventListener('click', (e) => {
+            const restoreId = e.target.getAttribute('data-restore-id');
+            const purgeId = e.target.getAttribute('data-purge-id');
+
+            if (restoreId) {
+                this.restoreSong(restoreId);
+            } else if (purgeId) {
+                this.purgeSong(purgeId);
+            }
+        });
+    }
+
+    async loadSettings() {
+        try {
+            this.settings = await this.songManager.repository.loadSettings();
+        } catch (error) {
+            console.error('Error cargando los ajustes de la papelera:', error);
+            this.settings = null;
+        }
+    }
+
+    // Días que una canción permanece en la papelera antes de eliminarse sola. Es el mismo
+    // valor para todos: el guardado en el repositorio o, si no hay, el de la configuración
+    getRetentionDays() {
+        const shared = parseInt(this.settings?.trashRetentionDays, 10);
+        if (shared > 0) return shared;
+
+        const configured = parseInt(window.APP_CONFIG?.trashRetentionDays, 10);
+        return configured > 0 ? configured : DEFAULT_RETENTION_DAYS;
+    }
+
+    async setRetentionDays(value) {
+        const days = parseInt(value, 10);
+        if (days > 0 && this.songManager.can('song:delete')) {
+            try {
+                await this.songManager.repository.saveSettings({ trashRetentionDays: days });
+                this.settings = { ...(this.settings || {}), trashRetentionDays: days };
+            } catch (error) {
+                console.error('Error guardando la retención de la papelera:', error);
+                alert('No se pudo guardar la retención de la papelera: ' + error.message);
+            }
+        }
+        document.getElementById('trashRetentionDays').value = this.getRetentionDays();
+        this.purgeExpired();
+    }
+
+    showTrash() {
+        document.getElementById('trashRetentionDays').value = this.getRetentionDays();
+        this.renderTrash();
+        document.getElementById('trashModal').classList.remove('hidden');
+    }
+
+    hideTrash() {
+        document.getElementById('trashModal').classList.add('hidden');
+    }
+
+    // Actualizar contador y, si está abierta, la lista
+    updateTrash() {
+        const count = this.songManager.trashedSongs.length;
+        document.getElementById('trashCount').textContent = count > 0 ? `(${count})` : '';
+
+        if (!document.getElementById('trashModal').classList.contains('hidden')) {
+            this.renderTrash();
+        }
+    }
+
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        const songs = this.songManager.trashedSongs;
+
+        if (songs.length === 0) {
+            list.innerHTML = '<p class="px-6 py-4 text-center text-gray-500">La papelera está vacía</p>';
+            return;
+        }
+
+        list.innerHTML = songs.map(song => {
+            const trashedAt = toDate(song.trashedAt);
+            const purgeDate = trashedAt ? new Date(trashedAt.getTime() + this.getRetentionDays() * DAY_MS) : null;
+            return `
+                <div class="px-6 py-3 border-b border-gray-100 flex justify-between items-center">
+                    <div>
+                        <p class="text-sm font-medium text-gray-900">${ValidationUtils.escapeHtml(song.artistName)} - ${ValidationUtils.escapeHtml(song.songName)}</p>
+                        <p class="text-xs text-gray-500">
+                            ${trashedAt ? `Eliminada el ${trashedAt.toLocaleDateString('es-ES')}` : ''}
+                            ${song.trashedBy ? ` por ${ValidationUtils.escapeHtml(song.trashedBy)}` : ''}
+                            ${purgeDate ? ` · se borrará el ${purgeDate.toLocaleDateString('es-ES')}` : ''}
+                        </p>
+                    </div>
+                    <div class="flex space-x-3 text-sm">
+                        <button data-restore-id="${song.id}" class="text-blue-600 hover:text-blue-800">Restaurar</button>
+                        <button data-purge-id="${song.id}" class="text-red-600 hover:text-red-800">Eliminar definitivamente</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async restoreSong(songId) {
+        const song = this.songManager.trashedSongs.find(trashed => trashed.id === songId);
+        if (!song || !this.songManager.can('song:delete')) return;
+
+        try {
+            await this.songManager.offlineQueue.restoreSong(songId, song);
+            const { trashedAt, trashedBy, ...restored } = song;
+            this.songManager.setLibrary([restored, ...this.songManager.songs, ...this.songManager.trashedSongs.filter(trashed => trashed.id !== songId)]);
+            this.songManager.invalidateArtistsCache();
+            this.songManager.filterManager.applyFilters();
+        } catch (error) {
+            console.error('Error restaurando canción:', error);
+            alert('Error restaurando canción: ' + error.message);
+        }
+    }
+
+    async purgeSong(songId, { confirmFirst = true } = {}) {
+        const song = this.songManager.trashedSongs.find(trashed => trashed.id === songId);
+        if (!song || !this.songManager.can('song:delete')) return;
+
+        if (confirmFirst && !confirm(`¿Eliminar definitivamente "${song.artistName} - ${song.songName}"? Esta acción no se puede deshacer.`)) {
+            return;
+        }
+
+        try {
+            await this.songManager.offlineQueue.purgeSong(songId, song);
+            this.songManager.trashedSongs = this.songManager.trashedSongs.filter(trashed => trashed.id !== songId);
+            this.updateTrash();
+        } catch (error) {
+            console.error('Error eliminando canción:', error);
+            alert('Error eliminando canción: ' + error.message);
+        }
+    }
+
+    // Eliminar las canciones que superaron el período de retención
+    async purgeExpired() {
+        // Solo quien puede eliminar vacía la papelera, y nunca sin conocer la retención común
+        if (!this.songManager.can('song:delete') || this.settings === null) return;
+
+        const limit = Date.now() - this.getRetentionDays() * DAY_MS;
+        const expired = this.songManager.trashedSongs.filter(song => {
+            const trashedAt = toDate(song.trashedAt);
+            return trashedAt && trashedAt.getTime() < limit;
+        });
+
+        for (const song of expired) {
+            await this.purgeSong(song.id, { confirmFirst: false });
+        }
+    }
+}
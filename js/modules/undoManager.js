@@ -0,0 +1,161 @@
+import { ConflictError } from './songRepository.js';
+import { toDate } from './songFields.js';
+
+// Cantidad máxima de operaciones que se pueden deshacer
+const HISTORY_LIMIT = 50;
+const TOAST_DURATION = 6000;
+
+/**
+ * Versión (updatedAt en ISO) que dejó una escritura. Sin conexión la escritura queda encolada
+ * y la versión no se conoce: entonces se devuelve null y no se exige ninguna.
+ * @param {Object|boolean} result - Lo que devolvió la operación de la cola
+ * @returns {string|null}
+ */
+export function savedVersion(result) {
+    return (result && typeof result === 'object' ? toDate(result.updatedAt)?.toISOString() : null) || null;
+}
+
+/**
+ * Deshacer y rehacer una edición de campos exigiendo la versión que dejó la escritura anterior:
+ * si otra persona cambió la canción después, fallan con ConflictError en lugar de pisar su cambio.
+ * @param {OfflineQueue} queue
+ * @param {string} songId
+ * @param {Object} previous - Campos antes de la edición
+ * @param {Object} fields - Campos editados
+ * @param {Object|boolean} result - Lo que devolvió updateSong al guardar la edición
+ * @returns {{undo: Function, redo: Function}}
+ */
+export function versionedUpdate(queue, songId, previous, fields, result) {
+    let version = savedVersion(result);
+    const write = async (values) => {
+        version = savedVersion(await queue.updateSong(songId, values, { expectedUpdatedAt: version }));
+    };
+    return { undo: () => write(previous), redo: () => write(fields) };
+}
+
+/**
+ * Historial de comandos para deshacer/rehacer.
+ * Cada comando es { label, undo, redo }, donde undo y redo son funciones async
+ * que aplican la operación contra el backend.
+ */
+export class UndoManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isBusy = false;
+        this.toastTimeout = null;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.getElementById('undoToastBtn').addEventListener('click', () => {
+            if (this.toastAction === 'redo') {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+    }
+
+    // Ctrl+Z deshace, Ctrl+Shift+Z (o Ctrl+Y) rehace. Dentro de un campo de texto se respeta el deshacer nativo.
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        const target = e.target;
+        if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Registrar una operación ya realizada
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.showToast(command.label, 'undo');
+    }
+
+    async undo() {
+        if (this.isBusy || !this.canUndo) return;
+
+        const command = this.undoStack.pop();
+        this.isBusy = true;
+        try {
+            await command.undo();
+            this.redoStack.push(command);
+            await this.songManager.reloadSongs();
+            this.showToast(`Se deshizo: ${command.label}`, 'redo');
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                this.discardConflicting(command, 'deshacer');
+                return;
+            }
+            console.error('Error deshaciendo operación:', error);
+            this.undoStack.push(command);
+            alert('No se pudo deshacer: ' + error.message);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    async redo() {
+        if (this.isBusy || !this.canRedo) return;
+
+        const command = this.redoStack.pop();
+        this.isBusy = true;
+        try {
+            await command.redo();
+            this.undoStack.push(command);
+            await this.songManager.reloadSongs();
+            this.showToast(`Se rehízo: ${command.label}`, 'undo');
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                this.discardConflicting(command, 'rehacer');
+                return;
+            }
+            console.error('Error rehaciendo operación:', error);
+            this.redoStack.push(command);
+            alert('No se pudo rehacer: ' + error.message);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    // Otra persona cambió la canción después de la operación: reintentarla volvería a fallar,
+    // así que se quita del historial y se muestra la versión actual
+    discardConflicting(command, verb) {
+        alert(`No se pudo ${verb} "${command.label}": otra persona modificó la canción después. Se muestra la versión actual.`);
+        this.songManager.reloadSongs();
+    }
+
+    showToast(message, action) {
+        const toast = document.getElementById('undoToast');
+        document.getElementById('undoToastText').textContent = message;
+        document.getElementById('undoToastBtn').textContent = action === 'redo' ? 'Rehacer' : 'Deshacer';
+        this.toastAction = action;
+        toast.classList.remove('hidden');
+
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => toast.classList.add('hidden'), TOAST_DURATION);
+    }
+}
@@ -0,0 +1,275 @@
+import { ValidationUtils } from '../utils/index.js';
+import { normalizeText } from './songFields.js';
+import { QuerySyntaxError, parseQuery } from './searchQuery.js';
+import { describeSort, formatSortParam } from './sortManager.js';
+
+const COLUMNS_KEY = 'visibleColumns';
+
+// Columnas de la tabla que se pueden ocultar; "Acciones" siempre se ve
+export const TABLE_COLUMNS = {
+    artistName: 'Artista',
+    songName: 'Canción',
+    state: 'Estado',
+    type: 'Tipo',
+    dates: 'Fechas',
+    comments: 'Comentarios'
+};
+
+const ALL_COLUMNS = Object.keys(TABLE_COLUMNS);
+
+function sameColumns(a, b) {
+    return a.length === b.length && a.every(column => b.includes(column));
+}
+
+/**
+ * Vistas guardadas: combinaciones con nombre de búsqueda (incluye tipos y estados),
+ * orden y columnas visibles, que se muestran como pestañas encima de la tabla.
+ * Se guardan por usuario en el repositorio para que sigan a cada uno entre dispositivos.
+ */
+export class ViewManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+        this.views = [];
+        this.visibleColumns = this.loadVisibleColumns();
+        this.applyColumnVisibility();
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('viewTabs').addEventListener('click', (e) => {
+            const editButton = e.target.closest('[data-edit-view]');
+            if (editButton) {
+                this.showViewModal(this.views.find(view => view.id === editButton.getAttribute('data-edit-view')));
+                return;
+            }
+
+            const tab = e.target.closest('[data-view-id]');
+            if (!tab) return;
+            const view = this.views.find(candidate => candidate.id === tab.getAttribute('data-view-id'));
+            if (view) {
+                this.applyView(view);
+            } else {
+                this.showAll();
+            }
+        });
+        document.getElementById('saveViewBtn').addEventListener('click', () => this.showViewModal(null));
+    }
+
+    // Sin sesión iniciada las vistas son las de este navegador
+    get userId() {
+        const user = this.songManager.authManager.user;
+        return user ? user.uid : null;
+    }
+
+    async loadViews() {
+        try {
+            this.views = await this.songManager.repository.loadViews(this.userId);
+        } catch (error) {
+            console.error('Error cargando las vistas guardadas:', error);
+            this.views = [];
+        }
+        this.renderTabs();
+    }
+
+    loadVisibleColumns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(COLUMNS_KEY)) || [];
+            const columns = saved.filter(column => TABLE_COLUMNS[column]);
+            return columns.length > 0 ? columns : ALL_COLUMNS;
+        } catch (error) {
+            return ALL_COLUMNS;
+        }
+    }
+
+    setVisibleColumns(columns) {
+        this.visibleColumns = ALL_COLUMNS.filter(column => columns.includes(column));
+        localStorage.setItem(COLUMNS_KEY, JSON.stringify(this.visibleColumns));
+        this.applyColumnVisibility();
+    }
+
+    // Las columnas se ocultan con una regla CSS, así sobreviven a cada renderTable
+    applyColumnVisibility() {
+        document.getElementById('columnVisibilityStyle').textContent = ALL_COLUMNS
+            .filter(column => !this.visibleColumns.includes(column))
+            .map(column => `#tableContainer [data-column="${column}"] { display: none; }`)
+            .join('\n');
+    }
+
+    // Lo que se ve ahora en la tabla, con la misma forma que una vista
+    currentState() {
+        return {
+            query: document.getElementById('searchInput').value.trim(),
+            sort: this.songManager.sortManager.sortKeys.map(sortKey => ({ ...sortKey })),
+            columns: [...this.visibleColumns]
+        };
+    }
+
+    isActive(view, current = this.currentState()) {
+        return view.query === current.query
+            && formatSortParam(view.sort) === formatSortParam(current.sort)
+            && sameColumns(view.columns, current.columns);
+    }
+
+    applyView(view) {
+        document.getElementById('searchInput').value = view.query;
+        this.setVisibleColumns(view.columns);
+        // Aplica los filtros y deja la vista en el historial del navegador
+        this.songManager.sortManager.setSortKeys(view.sort.map(sortKey => ({ ...sortKey })));
+    }
+
+    showAll() {
+        this.setVisibleColumns(ALL_COLUMNS);
+        this.songManager.filterManager.clearFilters();
+    }
+
+    // La pestaña activa es la vista que coincide con lo que muestra la tabla, venga de donde venga
+    renderTabs() {
+        const container = document.getElementById('viewTabs');
+        const current = this.currentState();
+        const activeView = this.views.find(view => this.isActive(view, current));
+        const showingAll = !activeView && current.query === '' && current.columns.length === ALL_COLUMNS.length;
+
+        const tab = (id, name, active) => `
+            <button type="button" data-view-id="${id}"
+                class="px-3 py-1.5 text-sm rounded-full border transition duration-200 ${active ? 'bg-slate-700 text-white border-slate-700' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-100'}">
+                ${ValidationUtils.escapeHtml(name)}
+            </button>
+        `;
+
+        container.innerHTML = [
+            tab('', 'Todas', showingAll),
+            ...this.views.map(view => `
+                <span class="inline-flex items-center gap-1">
+                    ${tab(view.id, view.name, view === activeView)}
+                    ${view === activeView ? `
+                    <button type="button" data-edit-view="${view.id}" class="text-slate-500 hover:text-slate-800 text-sm" title="Editar vista">✎</button>` : ''}
+                </span>
+            `)
+        ].join('');
+    }
+
+    // Guardar la vista y actualizar las pestañas sin esperar al servidor (sin conexión la escritura queda pendiente)
+    saveView(view) {
+        const index = this.views.findIndex(existing => existing.id === view.id);
+        if (index !== -1) {
+            this.views[index] = view;
+        } else {
+            this.views.push(view);
+        }
+
+        this.songManager.repository.saveView(this.userId, view).catch(error => {
+            console.error('Error guardando la vista:', error);
+            alert('No se pudo guardar la vista. Inténtalo de nuevo.');
+            this.loadViews();
+        });
+    }
+
+    deleteView(view) {
+        this.views = this.views.filter(existing => existing.id !== view.id);
+        this.renderTabs();
+
+        this.songManager.repository.deleteView(this.userId, view.id).catch(error => {
+            console.error('Error eliminando la vista:', error);
+            alert('No se pudo eliminar la vista. Inténtalo de nuevo.');
+            this.loadViews();
+        });
+    }
+
+    // Sin vista se crea una nueva con lo que muestra la tabla; con vista se edita la guardada
+    showViewModal(view) {
+        const modal = document.getElementById('viewModal');
+        const title = document.getElementById('viewModalTitle');
+        const nameInput = document.getElementById('viewName');
+        const queryInput = document.getElementById('viewQuery');
+        const sortDescription = document.getElementById('viewSortDescription');
+        const columnList = document.getElementById('viewColumns');
+        const useCurrentBtn = document.getElementById('viewUseCurrentBtn');
+        const deleteBtn = document.getElementById('viewDeleteBtn');
+        const saveBtn = document.getElementById('viewSaveBtn');
+        const cancelBtn = document.getElementById('viewCancelBtn');
+        const error = document.getElementById('viewError');
+
+        let sort = [];
+        const fill = ({ query, sort: sortKeys, columns }) => {
+            queryInput.value = query;
+            sort = sortKeys.map(sortKey => ({ ...sortKey }));
+            sortDescription.textContent = describeSort(sort) || 'Sin orden (por relevancia o fecha de alta)';
+            columnList.innerHTML = ALL_COLUMNS.map(column => `
+                <label class="flex items-center text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" value="${column}" ${columns.includes(column) ? 'checked' : ''} class="mr-2">
+                    ${TABLE_COLUMNS[column]}
+                </label>
+            `).join('');
+        };
+
+        title.textContent = view ? 'Editar vista' : 'Guardar vista';
+        nameInput.value = view ? view.name : '';
+        fill(view || this.currentState());
+        useCurrentBtn.classList.toggle('hidden', !view);
+        deleteBtn.classList.toggle('hidden', !view);
+        error.classList.add('hidden');
+        modal.classList.remove('hidden');
+        nameInput.focus();
+
+        const showError = (message) => {
+            error.textContent = message;
+            error.classList.remove('hidden');
+        };
+        const close = () => {
+            modal.classList.add('hidden');
+            useCurrentBtn.removeEventListener('click', onUseCurrent);
+            deleteBtn.removeEventListener('click', onDelete);
+            saveBtn.removeEventListener('click', onSave);
+            cancelBtn.removeEventListener('click', onCancel);
+        };
+        const onUseCurrent = () => fill(this.currentState());
+        const onDelete = () => {
+            if (!confirm(`¿Eliminar la vista "${view.name}"?`)) return;
+            close();
+            this.deleteView(view);
+        };
+        const onSave = () => {
+            const name = nameInput.value.trim();
+            const query = queryInput.value.trim();
+            const columns = Array.from(columnList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+
+            if (!name) {
+                showError('Ponle un nombre a la vista.');
+                return;
+            }
+            if (this.views.some(existing => existing.id !== (view && view.id) && normalizeText(existing.name) === normalizeText(name))) {
+                showError('Ya tienes una vista con ese nombre.');
+                return;
+            }
+            try {
+                parseQuery(query);
+            } catch (queryError) {
+                if (!(queryError instanceof QuerySyntaxError)) throw queryError;
+                showError(`La búsqueda no es válida: ${queryError.message} (carácter ${queryError.position + 1}).`);
+                return;
+            }
+            if (columns.length === 0) {
+                showError('Elige al menos una columna.');
+                return;
+            }
+
+            const saved = {
+                id: view ? view.id : this.songManager.repository.generateId(),
+                name,
+                query,
+                sort,
+                columns,
+                createdAt: view ? view.createdAt : new Date().toISOString()
+            };
+            close();
+            this.saveView(saved);
+            this.applyView(saved);
+        };
+        const onCancel = () => close();
+
+        useCurrentBtn.addEventListener('click', onUseCurrent);
+        deleteBtn.addEventListener('click', onDelete);
+        saveBtn.addEventListener('click', onSave);
+        cancelBtn.addEventListener('click', onCancel);
+    }
+}
@@ -0,0 +1,151 @@
+import { toDate } from './songFields.js';
+
+// Equivalencias en ARGB de las clases de Tailwind que usan getStateColor y getTypeColor
+const TAILWIND_COLORS = {
+    'bg-green-100': 'FFDCFCE7', 'text-green-800': 'FF166534',
+    'bg-yellow-100': 'FFFEF9C3', 'text-yellow-800': 'FF854D0E',
+    'bg-blue-100': 'FFDBEAFE', 'text-blue-800': 'FF1E40AF',
+    'bg-purple-100': 'FFF3E8FF', 'text-purple-800': 'FF6B21A8',
+    'bg-red-100': 'FFFEE2E2', 'text-red-800': 'FF991B1B',
+    'bg-gray-100': 'FFF3F4F6', 'text-gray-800': 'FF1F2937',
+    'bg-orange-100': 'FFFFEDD5', 'text-orange-800': 'FF9A3412',
+    'bg-indigo-100': 'FFE0E7FF', 'text-indigo-800': 'FF3730A3'
+};
+
+const COLUMNS = [
+    { header: 'Nombre', key: 'songName', width: 32 },
+    { header: 'Artista', key: 'artistName', width: 28 },
+    { header: 'Estado', key: 'state', width: 16 },
+    { header: 'Tipo', key: 'type', width: 12 },
+    { header: 'Comentarios', key: 'comments', width: 40 },
+    { header: 'YouTube', key: 'youtubeLink', width: 45 },
+    { header: 'Creada', key: 'createdAt', width: 18, style: { numFmt: 'dd/mm/yyyy hh:mm' } },
+    { header: 'Actualizada', key: 'updatedAt', width: 18, style: { numFmt: 'dd/mm/yyyy hh:mm' } },
+    { header: 'ID', key: 'id', width: 24 }
+];
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Exportar e importar la lista de canciones como libro de Excel (.xlsx), en el navegador con ExcelJS.
+ */
+export class XLSXManager {
+    constructor(songManager) {
+        this.songManager = songManager;
+    }
+
+    async downloadXLSX() {
+        if (this.songManager.filteredSongs.length === 0) {
+            alert('No hay canciones para exportar. Ajusta los filtros o agrega canciones.');
+            return;
+        }
+
+        this.songManager.showButtonLoading('downloadXlsxBtn', 'downloadXlsxText', 'downloadXlsxSpinner');
+
+        try {
+            const workbook = this.createWorkbook(this.songManager.filteredSongs);
+            const buffer = await workbook.xlsx.writeBuffer();
+            this.songManager.downloadFile(
+                new Blob([buffer], { type: XLSX_MIME_TYPE }),
+                `canciones_${new Date().toISOString().split('T')[0]}.xlsx`
+            );
+        } catch (error) {
+            console.error('Error generando el archivo Excel:', error);
+            alert('Error generando el archivo Excel: ' + error.message);
+        } finally {
+            this.songManager.hideButtonLoading('downloadXlsxBtn', 'downloadXlsxText', 'downloadXlsxSpinner');
+        }
+    }
+
+    createWorkbook(songs) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'Gestión de Canciones';
+        workbook.created = new Date();
+
+        const sheet = workbook.addWorksheet('Canciones', {
+            views: [{ state: 'frozen', ySplit: 1 }]
+        });
+        sheet.columns = COLUMNS;
+
+        const header = sheet.getRow(1);
+        header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF475569' } };
+
+        songs.forEach(song => {
+            const row = sheet.addRow({
+                songName: song.songName,
+                artistName: song.artistName,
+                state: song.state,
+                type: song.type,
+                comments: song.comments || '',
+                youtubeLink: song.youtubeLink ? { text: song.youtubeLink, hyperlink: song.youtubeLink } : '',
+                createdAt: toDate(song.createdAt),
+                updatedAt: toDate(song.updatedAt),
+                id: song.id
+            });
+
+            this.applyColors(row.getCell('state'), this.songManager.getStateColor(song.state));
+            this.applyColors(row.getCell('type'), this.songManager.getTypeColor(song.type));
+            row.getCell('comments').alignment = { wrapText: true, vertical: 'top' };
+            if (song.youtubeLink) {
+                row.getCell('youtubeLink').font = { color: { argb: 'FF2563EB' }, underline: true };
+            }
+        });
+
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+        return workbook;
+    }
+
+    // Traducir las clases "bg-* text-*" a relleno y color de fuente de la celda
+    applyColors(cell, classes) {
+        classes.split(' ').forEach(className => {
+            const argb = TAILWIND_COLORS[className];
+            if (!argb) return;
+            if (className.startsWith('bg-')) {
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+            } else {
+                cell.font = { color: { argb } };
+            }
+        });
+    }
+
+    /**
+     * Leer la primera hoja de un .xlsx con la misma forma que los registros del CSV,
+     * para pasar por la misma asociación de columnas y vista previa.
+     * @param {File} file
+     * @returns {Promise<Array<{values: string[], line: number}>>}
+     */
+    async readRecords(file) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error('El archivo no es un libro de Excel (.xlsx) válido');
+        }
+
+        const sheet = workbook.worksheets[0];
+        if (!sheet) {
+            return [];
+        }
+
+        const records = [];
+        const columnCount = sheet.columnCount;
+        sheet.eachRow((row, rowNumber) => {
+            const values = [];
+            for (let column = 1; column <= columnCount; column++) {
+                values.push(this.cellText(row.getCell(column)));
+            }
+            records.push({ values, line: rowNumber });
+        });
+        return records;
+    }
+
+    // Texto de la celda: los enlaces dan su dirección y las fechas, su valor ISO
+    cellText(cell) {
+        const value = cell.value;
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object' && value.hyperlink) return value.hyperlink;
+        return cell.text || '';
+    }
+}
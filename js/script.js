@@ -2,22 +2,58 @@
 import { AnimationUtils, LoadingUtils, DomUtils, EventUtils, ValidationUtils } from './utils/index.js';
 
 // Import modules
-import { FirebaseManager } from './modules/firebaseManager.js';
+import { loadAppConfig, ConfigError } from './modules/configLoader.js';
+import { createSongRepository } from './modules/repositoryFactory.js';
+import { OfflineQueue } from './modules/offlineQueue.js';
+import { getFieldLabel, pickSongFields, toDate } from './modules/songFields.js';
+import { ConflictError } from './modules/songRepository.js';
+import { ConflictResolver } from './modules/conflictResolver.js';
 import { CSVImporter } from './modules/csvImporter.js';
 import { PDFGenerator } from './modules/pdfGenerator.js';
+import { CSVExporter } from './modules/csvExporter.js';
+import { XLSXManager } from './modules/xlsxManager.js';
 import { FilterManager } from './modules/filterManager.js';
+import { SortManager } from './modules/sortManager.js';
+import { ViewManager } from './modules/viewManager.js';
+import { TrashManager } from './modules/trashManager.js';
+import { BackupManager } from './modules/backupManager.js';
+import { DuplicateManager, findSimilarSongs } from './modules/duplicateManager.js';
+import { UndoManager, versionedUpdate } from './modules/undoManager.js';
+import { AuthManager } from './modules/authManager.js';
+import { RESTRICTED_STATES } from './modules/permissions.js';
+import { highlightMatches } from './modules/searchQuery.js';
 
 class SongManager {
-    constructor() {
-        this.firebaseManager = new FirebaseManager();
+    constructor(config = {}) {
+        this.config = config;
+        this.repository = createSongRepository(config);
+        this.offlineQueue = new OfflineQueue(this.repository, { onChange: (items) => this.renderPendingChanges(items) });
+        this.historyEntries = [];
         this.songs = [];
+        this.trashedSongs = [];
         this.filteredSongs = [];
+        // Tramos que coinciden con la búsqueda, por canción: { campo: [[inicio, fin], ...] }
+        this.searchHighlights = new Map();
+        // Hay cambios remotos sin dibujar porque se estaba escribiendo un comentario
+        this.hasDeferredRender = false;
         this.currentEditId = null;
+        this.editBase = null;
         this.songToDelete = null;
         this.csvImporter = new CSVImporter(this);
         this.pdfGenerator = new PDFGenerator(this);
+        this.csvExporter = new CSVExporter(this);
+        this.xlsxManager = new XLSXManager(this);
         this.filterManager = new FilterManager(this);
+        this.sortManager = new SortManager(this);
+        this.viewManager = new ViewManager(this);
+        this.trashManager = new TrashManager(this);
+        this.backupManager = new BackupManager(this);
+        this.duplicateManager = new DuplicateManager(this);
+        this.undoManager = new UndoManager(this);
+        this.authManager = new AuthManager(this);
+        this.conflictResolver = new ConflictResolver(this);
         this.initializeEventListeners();
+        this.initializeActor();
         this.initializeApp();
     }
 
@@ -34,8 +70,16 @@ class SongManager {
 
     async loadInitialData() {
         try {
-            // Esperar a que Firebase se inicialize completamente
-            await this.waitForFirebaseInit();
+            // Inicializar el repositorio (falla si la configuración es inválida)
+            await this.repository.initialize();
+
+            // Iniciar sesión (solo con Firebase) y ajustar la interfaz al rol del usuario
+            await this.authManager.initialize();
+            this.initializeActor();
+            this.applyPermissions();
+            // Las vistas guardadas son de cada usuario; no hace falta esperarlas para mostrar la tabla
+            this.viewManager.loadViews();
+            await this.offlineQueue.init();
             
             // Limpiar localStorage para forzar migración con IDs automáticos
             const localSongs = JSON.parse(localStorage.getItem('songs') || '[]');
@@ -44,36 +88,178 @@ class SongManager {
             }
             
             // Intentar migrar desde localStorage si es necesario
-            await this.firebaseManager.migrateFromLocalStorage();
+            await this.repository.migrateFromLocalStorage();
             
-            // Cargar desde Firebase
-            this.songs = await this.firebaseManager.loadSongs();
-            this.filteredSongs = this.songs;
-            this.renderTable();
+            // Cargar desde el repositorio configurado, con los cambios aún no enviados aplicados encima
+            this.setLibrary(this.offlineQueue.applyPending(await this.repository.loadSongs()));
+            // Aplica la búsqueda y el orden que traiga la URL
+            this.filterManager.applyFilters();
+
+            // Enviar lo que haya quedado pendiente de una sesión anterior
+            this.offlineQueue.replay();
+
+            // Vaciar de la papelera lo que superó el período de retención
+            this.trashManager.loadSettings().then(() => this.trashManager.purgeExpired());
+
+            // Sincronizar en tiempo real los cambios del resto de la banda
+            this.unsubscribeSongs = this.repository.subscribe((changes) => this.applyRemoteChanges(changes));
         } catch (error) {
             console.error('Error cargando datos iniciales:', error);
+            if (error instanceof ConfigError) {
+                showStartupError(error);
+                return;
+            }
             this.songs = [];
+            this.trashedSongs = [];
             this.filteredSongs = [];
             this.renderTable();
-            alert('Error cargando datos. Verifica tu conexión a Firebase.');
+            alert('Error cargando datos. Verifica la conexión con el almacenamiento de canciones.');
         }
     }
 
-    // Esperar a que Firebase se inicialice completamente
-    async waitForFirebaseInit() {
-        return new Promise((resolve) => {
-            const checkInit = () => {
-                if (this.firebaseManager.isInitialized) {
-                    resolve();
-                } else {
-                    setTimeout(checkInit, 100);
+    // Aplicar cambios recibidos del repositorio (agregados, modificados o eliminados por otros usuarios)
+    applyRemoteChanges(changes) {
+        const library = [...this.songs, ...this.trashedSongs];
+
+        changes.forEach(({ type, song }) => {
+            const index = library.findIndex(existing => existing.id === song.id);
+
+            if (type === 'removed') {
+                if (index !== -1) {
+                    library.splice(index, 1);
                 }
-            };
-            checkInit();
+            } else if (index !== -1) {
+                library[index] = song;
+            } else {
+                // Las canciones nuevas van primero, igual que el orden por createdAt desc
+                library.unshift(song);
+            }
         });
+
+        // Lo que todavía está en la cola prevalece sobre la copia del servidor
+        this.setLibrary(this.offlineQueue.applyPending(library));
+
+        this.invalidateArtistsCache();
+
+        // Con un comentario a medio escribir la tabla se redibuja al salir del input:
+        // el cambio remoto podría quitar esa fila (o vaciar la lista) y perder el texto
+        if (this.isEditingComment()) {
+            this.hasDeferredRender = true;
+            return;
+        }
+        this.filterManager.applyFilters({ animate: false });
+    }
+
+    isEditingComment() {
+        const active = document.activeElement;
+        return Boolean(active && active.classList.contains('comment-input'));
     }
 
+    // Aplicar los cambios remotos que llegaron mientras se escribía un comentario
+    flushDeferredRender() {
+        if (!this.hasDeferredRender || this.isEditingComment()) return;
 
+        this.hasDeferredRender = false;
+        this.filterManager.applyFilters({ animate: false });
+    }
+
+    // Separar las canciones activas de las que están en la papelera
+    setLibrary(allSongs) {
+        this.songs = allSongs.filter(song => !song.trashedAt);
+        this.trashedSongs = allSongs.filter(song => song.trashedAt);
+        this.trashManager.updateTrash();
+    }
+
+    // Incorporar canciones recién guardadas; el listener en tiempo real puede haberlas traído ya
+    upsertLocalSongs(songs) {
+        songs.forEach(song => {
+            const index = this.songs.findIndex(existing => existing.id === song.id);
+            if (index !== -1) {
+                this.songs[index] = { ...this.songs[index], ...song };
+            } else {
+                this.songs.push(song);
+            }
+        });
+    }
+
+    // Volver a cargar la biblioteca desde el repositorio (p. ej. al descartar un cambio optimista)
+    async reloadSongs() {
+        try {
+            this.setLibrary(this.offlineQueue.applyPending(await this.repository.loadSongs()));
+            this.invalidateArtistsCache();
+            this.filterManager.applyFilters({ animate: false });
+        } catch (error) {
+            console.error('Error recargando canciones:', error);
+        }
+    }
+
+    // Indicador y panel de cambios pendientes de sincronizar
+    renderPendingChanges(items) {
+        const button = DomUtils.getElementById('pendingChangesBtn');
+        const text = DomUtils.getElementById('pendingChangesText');
+        const list = DomUtils.getElementById('pendingChangesList');
+        const failedCount = items.filter(item => item.status === 'failed').length;
+
+        if (items.length === 0) {
+            button.classList.add('hidden');
+            DomUtils.getElementById('pendingChangesPanel').classList.add('hidden');
+            return;
+        }
+
+        text.textContent = `${items.length} ${items.length === 1 ? 'cambio pendiente' : 'cambios pendientes'}` +
+            (failedCount > 0 ? ` (${failedCount} con error)` : '');
+        button.classList.remove('hidden');
+        button.classList.toggle('bg-amber-100', failedCount === 0);
+        button.classList.toggle('text-amber-800', failedCount === 0);
+        button.classList.toggle('bg-red-100', failedCount > 0);
+        button.classList.toggle('text-red-800', failedCount > 0);
+
+        const labels = {
+            add: 'Agregar',
+            addSongs: 'Importar',
+            update: 'Editar',
+            delete: 'Mover a la papelera',
+            restore: 'Restaurar',
+            purge: 'Eliminar definitivamente',
+            merge: 'Unir duplicados'
+        };
+        list.innerHTML = items.map(item => {
+            // En las ediciones y uniones item.song trae solo los campos cambiados
+            const song = { ...([...this.songs, ...this.trashedSongs].find(existing => existing.id === item.songId) || {}), ...(item.song || {}) };
+            const title = item.type === 'addSongs'
+                ? `${item.songs.length} canciones${item.options.atomic ? ' (todas o ninguna)' : ''}`
+                : [song.artistName, song.songName].filter(Boolean).join(' - ') || item.songId;
+            return `
+                <div class="px-3 py-2 border-b border-gray-100 text-sm">
+                    <div class="flex justify-between items-center">
+                        <span class="font-medium text-gray-800">${labels[item.type]}: ${ValidationUtils.escapeHtml(title)}</span>
+                        <span class="text-xs ${item.status === 'failed' ? 'text-red-600' : 'text-amber-600'}">
+                            ${item.status === 'failed' ? 'Error' : 'Pendiente'}
+                        </span>
+                    </div>
+                    ${item.status === 'failed' ? `
+                        <p class="text-xs text-red-600 mt-1">${ValidationUtils.escapeHtml(item.error || '')}</p>
+                        <div class="flex justify-end space-x-2 mt-1">
+                            <button data-retry-seq="${item.seq}" class="text-xs text-blue-600 hover:text-blue-800">Reintentar</button>
+                            <button data-discard-seq="${item.seq}" class="text-xs text-red-600 hover:text-red-800">Descartar</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handlePendingChangeAction(e) {
+        const retrySeq = e.target.getAttribute('data-retry-seq');
+        const discardSeq = e.target.getAttribute('data-discard-seq');
+
+        if (retrySeq) {
+            await this.offlineQueue.retry(Number(retrySeq));
+        } else if (discardSeq) {
+            await this.offlineQueue.discard(Number(discardSeq));
+            await this.reloadSongs();
+        }
+    }
 
     // Loading methods - using utils
     showTableLoading() {
@@ -97,30 +283,100 @@ class SongManager {
     initializeEventListeners() {
         document.getElementById('addSongBtn').addEventListener('click', () => this.showModal());
         document.getElementById('importCsvBtn').addEventListener('click', () => document.getElementById('csvFileInput').click());
-        document.getElementById('downloadCsvBtn').addEventListener('click', () => this.downloadCSV());
+        document.getElementById('downloadXlsxBtn').addEventListener('click', () => this.xlsxManager.downloadXLSX());
         document.getElementById('downloadPdfBtn').addEventListener('click', () => this.pdfGenerator.generateFilteredPDF());
         document.getElementById('csvFileInput').addEventListener('change', (e) => this.csvImporter.handleFileImport(e.target));
         document.getElementById('cancelBtn').addEventListener('click', () => this.hideModal());
+        this.setupCommentEventListeners();
         document.getElementById('songForm').addEventListener('submit', (e) => this.handleSubmit(e));
         document.getElementById('deleteCancelBtn').addEventListener('click', () => this.hideDeleteModal());
         document.getElementById('deleteConfirmBtn').addEventListener('click', () => this.confirmDelete());
+        document.getElementById('actorBtn').addEventListener('click', () => this.changeActor());
+        document.getElementById('historyToggleBtn').addEventListener('click', () => this.toggleHistory());
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const index = e.target.getAttribute('data-history-index');
+            if (index !== null) {
+                this.restoreVersion(Number(index));
+            }
+        });
+        document.getElementById('pendingChangesBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            document.getElementById('pendingChangesPanel').classList.toggle('hidden');
+        });
+        document.getElementById('pendingChangesList').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handlePendingChangeAction(e);
+        });
         
         // Filtros - add debouncing for better performance
-        EventUtils.addDebouncedListener(DomUtils.getElementById('searchInput'), 'input', () => this.filterManager.applyFilters(), 200);
+        EventUtils.addDebouncedListener(DomUtils.getElementById('searchInput'), 'input', () => this.filterManager.applyFilters({}, { history: 'search' }), 200);
         document.getElementById('clearFilters').addEventListener('click', () => this.filterManager.clearFilters());
         
         // Add debounced input for better performance
         EventUtils.addDebouncedListener(DomUtils.getElementById('artistName'), 'input', (e) => this.handleArtistInput(e), 150);
+        // Avisar de posibles duplicados mientras se escribe
+        ['artistName', 'songName'].forEach(id => {
+            EventUtils.addDebouncedListener(DomUtils.getElementById(id), 'input', () => this.checkDuplicates(), 300);
+        });
         document.addEventListener('click', (e) => {
             if (!e.target.closest('#artistName') && !e.target.closest('#artistSuggestions')) {
                 document.getElementById('artistSuggestions').classList.add('hidden');
             }
+            document.getElementById('pendingChangesPanel').classList.add('hidden');
         });
 
         // Event delegation for comment inputs - will be set up after table rendering
 
     }
 
+    // Nombre que queda registrado en el historial de cambios: el usuario con sesión o, sin cuentas, el elegido a mano
+    initializeActor() {
+        if (this.authManager.user) {
+            this.repository.setActor(this.authManager.displayName, this.authManager.user.uid);
+            document.getElementById('actorName').textContent = `${this.authManager.displayName} · ${this.authManager.roleLabel}`;
+            return;
+        }
+
+        const actor = localStorage.getItem('actorName') || 'Anónimo';
+        this.repository.setActor(actor);
+        document.getElementById('actorName').textContent = actor;
+    }
+
+    changeActor() {
+        if (this.authManager.user) {
+            if (confirm('¿Cerrar sesión?')) {
+                this.authManager.signOut();
+            }
+            return;
+        }
+
+        const actor = prompt('¿Con qué nombre quieres que se registren tus cambios?', this.repository.actor);
+        if (actor === null) return;
+
+        const trimmed = actor.trim();
+        if (trimmed) {
+            localStorage.setItem('actorName', trimmed);
+        } else {
+            localStorage.removeItem('actorName');
+        }
+        this.initializeActor();
+    }
+
+    can(permission) {
+        return this.authManager.can(permission);
+    }
+
+    // Ocultar las acciones que el rol actual no puede realizar
+    applyPermissions() {
+        document.getElementById('addSongBtn').classList.toggle('hidden', !this.can('song:add'));
+        document.getElementById('importCsvBtn').classList.toggle('hidden', !this.can('song:import'));
+        document.getElementById('trashBtn').classList.toggle('hidden', !this.can('song:delete'));
+
+        document.querySelectorAll('#state option').forEach(option => {
+            option.disabled = RESTRICTED_STATES.includes(option.value) && !this.can('song:approve');
+        });
+    }
+
     handleArtistInput(e) {
         const input = e.target.value;
         const suggestions = document.getElementById('artistSuggestions');
@@ -152,6 +408,27 @@ class SongManager {
     selectArtist(artistName) {
         document.getElementById('artistName').value = artistName;
         document.getElementById('artistSuggestions').classList.add('hidden');
+        this.checkDuplicates();
+    }
+
+    // Mostrar en el formulario las canciones que se parecen a la que se está escribiendo
+    checkDuplicates() {
+        const warning = document.getElementById('duplicateWarning');
+        const matches = findSimilarSongs({
+            artistName: document.getElementById('artistName').value,
+            songName: document.getElementById('songName').value
+        }, this.songs, { excludeId: this.currentEditId }).slice(0, 3);
+
+        if (matches.length === 0) {
+            warning.classList.add('hidden');
+            return;
+        }
+
+        warning.innerHTML = '<p class="font-medium">Posible duplicado de:</p><ul>' + matches.map(({ song, score }) =>
+            `<li>${ValidationUtils.escapeHtml(song.artistName)} - ${ValidationUtils.escapeHtml(song.songName)} ` +
+            `<span class="text-amber-600">(${Math.round(score * 100)} %, ${ValidationUtils.escapeHtml(song.state)})</span></li>`
+        ).join('') + '</ul>';
+        warning.classList.remove('hidden');
     }
 
     // Invalidate cached artists when songs change
@@ -161,6 +438,8 @@ class SongManager {
 
     showModal(song = null) {
         this.currentEditId = song ? song.id : null;
+        // Versión sobre la que se edita, para detectar cambios de otras personas al guardar
+        this.editBase = song ? { ...song } : null;
         document.getElementById('modalTitle').textContent = song ? 'Editar Canción' : 'Agregar Canción';
         
         if (song) {
@@ -172,6 +451,13 @@ class SongManager {
         } else {
             document.getElementById('songForm').reset();
         }
+
+        // El historial solo tiene sentido al editar
+        document.getElementById('historySection').classList.toggle('hidden', !song);
+        document.getElementById('historyPanel').classList.add('hidden');
+        document.getElementById('historyList').innerHTML = '';
+        this.historyEntries = [];
+        this.checkDuplicates();
         
         document.getElementById('songModal').classList.remove('hidden');
     }
@@ -179,6 +465,107 @@ class SongManager {
     hideModal() {
         document.getElementById('songModal').classList.add('hidden');
         this.currentEditId = null;
+        this.editBase = null;
+    }
+
+    async toggleHistory() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        await this.loadHistory();
+    }
+
+    async loadHistory() {
+        if (!this.currentEditId) return;
+
+        LoadingUtils.showLoadingMessage('historyList', 'Cargando historial...');
+        try {
+            this.historyEntries = await this.repository.getHistory(this.currentEditId);
+            this.renderHistory();
+        } catch (error) {
+            console.error('Error cargando historial:', error);
+            document.getElementById('historyList').innerHTML =
+                '<p class="px-3 py-2 text-sm text-red-600">No se pudo cargar el historial</p>';
+        }
+    }
+
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        if (this.historyEntries.length === 0) {
+            list.innerHTML = '<p class="px-3 py-2 text-sm text-gray-500">Sin cambios registrados</p>';
+            return;
+        }
+
+        const actionLabels = {
+            create: 'Creada',
+            update: 'Editada',
+            trash: 'Movida a la papelera',
+            restore: 'Restaurada de la papelera',
+            delete: 'Eliminada definitivamente',
+            backup: 'Restaurada desde copia de seguridad'
+        };
+        list.innerHTML = this.historyEntries.map((entry, index) => {
+            const date = toDate(entry.at);
+            const changes = Object.entries(entry.changes || {}).map(([field, { before, after }]) => `
+                <li>
+                    <span class="font-medium">${getFieldLabel(field)}:</span>
+                    <span class="text-red-600 line-through">${ValidationUtils.escapeHtml(String(before || '—'))}</span>
+                    →
+                    <span class="text-green-700">${ValidationUtils.escapeHtml(String(after || '—'))}</span>
+                </li>
+            `).join('');
+
+            return `
+                <div class="px-3 py-2 border-b border-gray-100 text-sm">
+                    <div class="flex justify-between items-center">
+                        <span class="font-medium text-gray-800">${actionLabels[entry.action] || entry.action} · ${ValidationUtils.escapeHtml(entry.actor || 'Anónimo')}</span>
+                        <span class="text-xs text-gray-500">${date ? date.toLocaleString('es-ES') : ''}</span>
+                    </div>
+                    <ul class="mt-1 text-xs text-gray-600 space-y-1">${changes}</ul>
+                    ${index > 0 || entry.action === 'delete' ? `
+                        <button type="button" data-history-index="${index}" class="mt-1 text-xs text-blue-600 hover:text-blue-800">
+                            Restaurar esta versión
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Volver a la versión que dejó una entrada del historial (queda registrado como una edición más)
+    async restoreVersion(index) {
+        const entry = this.historyEntries[index];
+        const songId = this.currentEditId;
+        if (!entry || !songId) return;
+
+        const current = this.songs.find(song => song.id === songId);
+        if (!this.can('song:edit') || !this.authManager.canSetState(entry.snapshot.state, current ? current.state : null)) {
+            alert(`Tu rol (${this.authManager.roleLabel}) no permite restaurar esta versión.`);
+            return;
+        }
+
+        try {
+            await this.offlineQueue.updateSong(songId, entry.snapshot);
+
+            const songIndex = this.songs.findIndex(song => song.id === songId);
+            if (songIndex !== -1) {
+                this.songs[songIndex] = { ...this.songs[songIndex], ...entry.snapshot };
+                this.showModal(this.songs[songIndex]);
+            }
+
+            this.invalidateArtistsCache();
+            this.filterManager.applyFilters();
+
+            document.getElementById('historyPanel').classList.remove('hidden');
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Error restaurando versión:', error);
+            alert('Error restaurando versión: ' + error.message);
+        }
     }
 
     showDeleteModal(song) {
@@ -193,6 +580,19 @@ class SongManager {
 
     async handleSubmit(e) {
         e.preventDefault();
+
+        const previousSong = this.currentEditId ? this.songs.find(song => song.id === this.currentEditId) : null;
+        if (this.currentEditId && !previousSong) {
+            alert('La canción ya no existe: otra persona la eliminó mientras la editabas.');
+            this.hideModal();
+            return;
+        }
+        const selectedState = document.getElementById('state').value;
+        if (!this.can(this.currentEditId ? 'song:edit' : 'song:add') ||
+            !this.authManager.canSetState(selectedState, previousSong ? previousSong.state : null)) {
+            alert(`Tu rol (${this.authManager.roleLabel}) no permite guardar la canción con el estado "${selectedState}".`);
+            return;
+        }
         
         // Mostrar loading en botón
         this.showButtonLoading('saveSongBtn', 'saveSongText', 'saveSongSpinner');
@@ -207,15 +607,27 @@ class SongManager {
 
         try {
             if (this.currentEditId) {
-                const updatedSong = await this.firebaseManager.updateSong(this.currentEditId, formData);
-                if (updatedSong) {
-                    const index = this.songs.findIndex(song => song.id === this.currentEditId);
-                    this.songs[index] = { ...formData, id: this.currentEditId };
+                const songId = this.currentEditId;
+                const previous = pickSongFields(this.editBase);
+                const saved = await this.saveEdit(songId, formData);
+                if (saved) {
+                    this.undoManager.record({
+                        label: `Edición de "${saved.fields.songName}"`,
+                        ...versionedUpdate(this.offlineQueue, songId, previous, saved.fields, saved.result)
+                    });
                 }
             } else {
-                const newSong = await this.firebaseManager.addSong(formData);
+                const newSong = await this.offlineQueue.addSong(formData);
                 if (newSong) {
-                    this.songs.push(newSong);
+                    this.upsertLocalSongs([newSong]);
+                }
+                // Deshacer un alta la elimina definitivamente, y las reglas solo lo permiten a quien puede eliminar
+                if (newSong && this.can('song:delete')) {
+                    this.undoManager.record({
+                        label: `Alta de "${newSong.songName}"`,
+                        undo: () => this.offlineQueue.purgeSong(newSong.id, newSong),
+                        redo: () => this.offlineQueue.addSong(newSong, newSong.id)
+                    });
                 }
             }
 
@@ -231,17 +643,60 @@ class SongManager {
         }
     }
 
+    /**
+     * Guardar una edición exigiendo que la canción no haya cambiado desde que se abrió el formulario.
+     * Si otra persona la modificó, se combinan ambas versiones campo a campo.
+     * @returns {Promise<{fields: Object, result: Object|boolean}|null>} Campos guardados y lo que devolvió
+     *   updateSong, o null si se descartó la edición
+     */
+    async saveEdit(songId, changes) {
+        let base = this.editBase;
+        let fields = changes;
+
+        for (;;) {
+            try {
+                const expectedUpdatedAt = toDate(base.updatedAt)?.toISOString() || null;
+                const result = await this.offlineQueue.updateSong(songId, fields, { expectedUpdatedAt });
+                // La copia local debe quedar con el nuevo updatedAt para la próxima edición
+                this.upsertLocalSongs([{ ...(typeof result === 'object' ? result : {}), ...fields, id: songId }]);
+                return { fields, result };
+            } catch (error) {
+                if (!(error instanceof ConflictError)) {
+                    throw error;
+                }
+
+                const theirs = error.serverSong;
+                const merged = await this.conflictResolver.resolve(base, { ...base, ...fields }, theirs);
+                if (!merged) {
+                    // Se descarta la edición propia y se muestra la versión guardada
+                    this.upsertLocalSongs([{ ...theirs, id: songId }]);
+                    return null;
+                }
+
+                base = theirs;
+                fields = merged;
+            }
+        }
+    }
+
     async confirmDelete() {
-        if (this.songToDelete) {
+        if (this.songToDelete && this.can('song:delete')) {
             // Mostrar loading en botón eliminar
             this.showButtonLoading('deleteConfirmBtn', 'deleteConfirmText', 'deleteConfirmSpinner');
             
             try {
-                const success = await this.firebaseManager.deleteSong(this.songToDelete.id);
+                const deletedSong = this.songToDelete;
+                const success = await this.offlineQueue.deleteSong(deletedSong.id, deletedSong);
                 if (success) {
-                    this.songs = this.songs.filter(song => song.id !== this.songToDelete.id);
+                    const trashedSong = { ...deletedSong, trashedAt: new Date().toISOString(), trashedBy: this.repository.actor };
+                    this.setLibrary([...this.songs.filter(song => song.id !== trashedSong.id), trashedSong, ...this.trashedSongs]);
                     this.invalidateArtistsCache();
                     this.filterManager.applyFilters();
+                    this.undoManager.record({
+                        label: `Eliminación de "${deletedSong.songName}"`,
+                        undo: () => this.offlineQueue.restoreSong(deletedSong.id, deletedSong),
+                        redo: () => this.offlineQueue.deleteSong(deletedSong.id, deletedSong)
+                    });
                 }
                 this.hideDeleteModal();
             } catch (error) {
@@ -254,33 +709,52 @@ class SongManager {
         }
     }
 
-    editSong(song) {
-        this.showModal(song);
+    // Los botones de la tabla pasan solo el ID: la copia de this.songs conserva los timestamps
+    // de Firestore, que en JSON pierden su tipo y dejarían sin efecto la detección de conflictos
+    editSong(songId) {
+        const song = this.songs.find(existing => existing.id === songId);
+        if (song) {
+            this.showModal(song);
+        }
     }
 
-    deleteSong(song) {
-        this.showDeleteModal(song);
+    deleteSong(songId) {
+        const song = this.songs.find(existing => existing.id === songId);
+        if (song) {
+            this.showDeleteModal(song);
+        }
     }
 
-    openYouTube(song) {
-        if (song.youtubeLink) {
+    openYouTube(songId) {
+        const song = this.songs.find(existing => existing.id === songId);
+        if (song && song.youtubeLink) {
             window.open(song.youtubeLink, '_blank');
         }
     }
 
     async updateComment(songId, comment) {
         const song = this.songs.find(song => song.id === songId);
-        if (song) {
+        if (song && this.can('song:comment')) {
             const input = document.querySelector(`[data-song-id="${songId}"]`);
             if (!input) return;
 
+            const previousComment = song.comments || '';
+            // Salir de un comentario sin cambiarlo no escribe nada ni deja nada que deshacer
+            if (comment === previousComment) return;
+
             // Show loading spinner
             this.showCommentLoading(input);
 
-            const updatedSong = { ...song, comments: comment };
             try {
-                const success = await this.firebaseManager.updateSong(songId, updatedSong);
+                // Solo se envía el comentario para no pisar otros campos cambiados por otra persona
+                const success = await this.offlineQueue.updateSong(songId, { comments: comment });
                 if (success) {
+                    const updatedSong = { ...song, ...(typeof success === 'object' ? success : {}), comments: comment };
+                    this.undoManager.record({
+                        label: `Comentario de "${song.songName}"`,
+                        ...versionedUpdate(this.offlineQueue, songId, { comments: previousComment }, { comments: comment }, success)
+                    });
+
                     const index = this.songs.findIndex(song => song.id === songId);
                     this.songs[index] = updatedSong;
                     
@@ -307,18 +781,20 @@ class SongManager {
         }
     }
 
+    // Delegados en document: se registran una sola vez y sirven para todos los inputs de cada renderTable
     setupCommentEventListeners() {
-        // Remove existing listeners to avoid duplicates
-        document.removeEventListener('blur', this.handleCommentBlur);
-        document.removeEventListener('keydown', this.handleCommentKeydown);
-        
-        // Bind methods to preserve 'this' context
         this.handleCommentBlur = (e) => {
-            if (e.target.classList.contains('comment-input')) {
+            if (e.target.classList.contains('comment-input') && !this.isRerendering) {
                 const songId = e.target.getAttribute('data-song-id');
                 const comment = e.target.value;
+                // Si el foco pasa a otro comentario, los cambios remotos esperan a que se salga de ese
+                const movingToComment = Boolean(e.relatedTarget && e.relatedTarget.classList.contains('comment-input'));
                 if (songId) {
-                    this.updateComment(songId, comment);
+                    this.updateComment(songId, comment).finally(() => {
+                        if (!movingToComment) {
+                            this.flushDeferredRender();
+                        }
+                    });
                 }
             }
         };
@@ -402,64 +878,20 @@ class SongManager {
         }
     }
 
-    async downloadCSV() {
-        if (this.filteredSongs.length === 0) {
-            alert('No hay canciones para exportar. Ajusta los filtros o agrega canciones.');
-            return;
-        }
-
-        // Mostrar loading
-        this.showButtonLoading('downloadCsvBtn', 'downloadCsvText', 'downloadCsvSpinner');
-
-        try {
-            const csvContent = this.generateCSVContent();
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            
-            if (link.download !== undefined) {
-                const url = URL.createObjectURL(blob);
-                link.setAttribute('href', url);
-                link.setAttribute('download', `canciones_${new Date().toISOString().split('T')[0]}.csv`);
-                link.style.visibility = 'hidden';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-            }
-        } finally {
-            // Ocultar loading
-            this.hideButtonLoading('downloadCsvBtn', 'downloadCsvText', 'downloadCsvSpinner');
-        }
-    }
-
-    generateCSVContent() {
-        const headers = ['Nombre', 'Artista', 'Estado', 'Tipo', 'Comentarios', 'YouTube'];
-        const csvRows = [headers.join(',')];
-
-        this.filteredSongs.forEach(song => {
-            const row = [
-                this.escapeCSVField(song.songName),
-                this.escapeCSVField(song.artistName),
-                this.escapeCSVField(song.state),
-                this.escapeCSVField(song.type),
-                this.escapeCSVField(song.comments || ''),
-                this.escapeCSVField(song.youtubeLink || '')
-            ];
-            csvRows.push(row.join(','));
-        });
-
-        return csvRows.join('\n');
-    }
-
-    escapeCSVField(field) {
-        if (field === null || field === undefined) {
-            return '';
-        }
+    // Descargar un archivo generado en el navegador
+    downloadFile(blob, filename) {
+        const link = document.createElement('a');
         
-        const stringField = String(field);
-        if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
-            return `"${stringField.replace(/"/g, '""')}"`;
+        if (link.download !== undefined) {
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
         }
-        return stringField;
     }
 
     getStateColor(state) {
@@ -479,19 +911,58 @@ class SongManager {
 
 
 
-    renderTable() {
+    // Guardar el comentario que se está escribiendo para no perderlo al volver a renderizar
+    captureCommentFocus() {
+        const active = document.activeElement;
+        if (!active || !active.classList.contains('comment-input')) {
+            return null;
+        }
+
+        return {
+            songId: active.getAttribute('data-song-id'),
+            value: active.value,
+            selectionStart: active.selectionStart,
+            selectionEnd: active.selectionEnd
+        };
+    }
+
+    restoreCommentFocus(focusState) {
+        if (!focusState) return;
+
+        const input = document.querySelector(`.comment-input[data-song-id="${focusState.songId}"]`);
+        if (input) {
+            input.value = focusState.value;
+            input.focus();
+            input.setSelectionRange(focusState.selectionStart, focusState.selectionEnd);
+        }
+    }
+
+    formatTableDate(value) {
+        const date = toDate(value);
+        return date ? date.toLocaleDateString('es-ES') : '—';
+    }
+
+    renderTable({ animate = true } = {}) {
         const tbody = DomUtils.getElementById('songsTableBody');
+        const focusState = this.captureCommentFocus();
+
+        // El input enfocado se destruye al reemplazar el tbody; ignorar ese blur para no guardar a medias
+        this.isRerendering = true;
         
         if (this.filteredSongs.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="px-6 py-4 text-center text-gray-500">
+                    <td colspan="7" class="px-6 py-4 text-center text-gray-500">
                         ${this.songs.length === 0 ? 'No hay canciones registradas' : 'No se encontraron canciones con los filtros aplicados'}
                     </td>
                 </tr>
             `;
+            this.isRerendering = false;
+
             // Add fade-in animation to entire table body
-            AnimationUtils.fadeIn(tbody);
+            if (animate) {
+                AnimationUtils.fadeIn(tbody);
+            }
             
             // Remove scrollbar hiding class after animation completes
             setTimeout(() => {
@@ -503,68 +974,80 @@ class SongManager {
             return;
         }
 
+        const canEdit = this.can('song:edit');
+        const canDelete = this.can('song:delete');
+        const canComment = this.can('song:comment');
+
         tbody.innerHTML = this.filteredSongs.map((song, index) => {
+            const highlights = this.searchHighlights.get(song.id) || {};
             return `
             <tr class="hover:bg-gray-50">
-                <td class="px-4 py-4 text-sm font-medium text-gray-900">
-                    ${song.artistName}
+                <td data-column="artistName" class="px-4 py-4 text-sm font-medium text-gray-900">
+                    ${highlightMatches(song.artistName, highlights.artistName)}
                 </td>
-                <td class="px-4 py-4 text-sm text-gray-900">
-                    ${song.songName}
+                <td data-column="songName" class="px-4 py-4 text-sm text-gray-900">
+                    ${highlightMatches(song.songName, highlights.songName)}
                 </td>
-                <td class="px-6 py-4 whitespace-nowrap">
+                <td data-column="state" class="px-6 py-4 whitespace-nowrap">
                     <span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getStateColor(song.state)}">
-                        ${song.state}
+                        ${ValidationUtils.escapeHtml(song.state)}
                     </span>
                 </td>
-                <td class="px-6 py-4 whitespace-nowrap">
+                <td data-column="type" class="px-6 py-4 whitespace-nowrap">
                     <span class="px-2 py-1 text-xs font-semibold rounded-full ${this.getTypeColor(song.type)}">
-                        ${song.type}
+                        ${ValidationUtils.escapeHtml(song.type)}
                     </span>
                 </td>
-                <td class="px-6 py-4 text-sm text-gray-600">
+                <td data-column="dates" class="px-4 py-4 whitespace-nowrap text-xs text-gray-500">
+                    <div title="Alta">${this.formatTableDate(song.createdAt)}</div>
+                    <div title="Última modificación" class="text-gray-400">${this.formatTableDate(song.updatedAt)}</div>
+                </td>
+                <td data-column="comments" class="px-6 py-4 text-sm text-gray-600">
                     <div class="relative">
                         <input 
                             type="text"
-                            class="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 comment-input" 
-                            placeholder="Agregar comentario..."
-                            value="${song.comments || ''}"
-                            data-song-id="${song.id}"
+                            class="w-full px-2 py-1 border ${highlights.comments ? 'border-yellow-400 bg-yellow-50' : 'border-gray-300'} rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 comment-input" 
+                            placeholder="${canComment ? 'Agregar comentario...' : ''}"
+                            value="${ValidationUtils.escapeHtml(song.comments || '')}"
+                            data-song-id="${ValidationUtils.escapeHtml(song.id)}"
+                            ${canComment ? '' : 'readonly'}
                         />
                     </div>
                 </td>
                 <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <div class="flex space-x-2">
-                        <button onclick="songManager.openYouTube(${JSON.stringify(song).replace(/"/g, '&quot;')})" 
+                        <button onclick="songManager.openYouTube(${JSON.stringify(song.id).replace(/"/g, '&quot;')})" 
                                 class="text-red-600 hover:text-red-900 transition duration-200" 
                                 title="Ver en YouTube">
                             <svg class="w-5 h-5" viewBox="0 0 461.001 461.001" fill="currentColor">
                                 <path d="M365.257,67.393H95.744C42.866,67.393,0,110.259,0,163.137v134.728c0,52.878,42.866,95.744,95.744,95.744h269.513c52.878,0,95.744-42.866,95.744-95.744V163.137C461.001,110.259,418.135,67.393,365.257,67.393z M300.506,237.056l-126.06,60.123c-3.359,1.602-7.239-0.847-7.239-4.568V168.607c0-3.774,3.982-6.22,7.348-4.514l126.06,63.881C304.363,229.873,304.298,235.248,300.506,237.056z"/>
                             </svg>
                         </button>
-                        <button onclick="songManager.editSong(${JSON.stringify(song).replace(/"/g, '&quot;')})" 
+                        ${canEdit ? `
+                        <button onclick="songManager.editSong(${JSON.stringify(song.id).replace(/"/g, '&quot;')})" 
                                 class="text-blue-600 hover:text-blue-900 transition duration-200" 
                                 title="Editar">
                             ✏️
-                        </button>
-                        <button onclick="songManager.deleteSong(${JSON.stringify(song).replace(/"/g, '&quot;')})" 
+                        </button>` : ''}
+                        ${canDelete ? `
+                        <button onclick="songManager.deleteSong(${JSON.stringify(song.id).replace(/"/g, '&quot;')})" 
                                 class="text-red-600 hover:text-red-900 transition duration-200" 
                                 title="Eliminar">
                             🗑️
-                        </button>
+                        </button>` : ''}
                     </div>
                 </td>
             </tr>
         `;
         }).join('');
 
+        this.isRerendering = false;
+        this.restoreCommentFocus(focusState);
+
         // Add single fade-in animation to entire table body for better performance
-        AnimationUtils.fadeIn(tbody);
-        
-        // Set up event listeners for comment inputs
-        setTimeout(() => {
-            this.setupCommentEventListeners();
-        }, 100);
+        if (animate) {
+            AnimationUtils.fadeIn(tbody);
+        }
         
         // Remove scrollbar hiding class after animation completes
         setTimeout(() => {
@@ -582,9 +1065,22 @@ HTMLElement.prototype.selectArtist = function(artistName) {
     document.getElementById('artistSuggestions').classList.add('hidden');
 };
 
+// Pantalla de error de arranque (configuración ausente o inválida)
+function showStartupError(error) {
+    document.getElementById('startupErrorMessage').textContent = error.message;
+    document.getElementById('startupErrorHint').textContent = error.hint || '';
+    document.getElementById('startupError').classList.remove('hidden');
+}
+
 // Inicializar la aplicación cuando el DOM esté listo
-document.addEventListener('DOMContentLoaded', function() {
-    window.songManager = new SongManager();
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        const config = await loadAppConfig();
+        window.songManager = new SongManager(config);
+    } catch (error) {
+        console.error('Error iniciando la aplicación:', error);
+        showStartupError(error);
+    }
 });
 
 // Export SongManager for module usage
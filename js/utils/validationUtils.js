@@ -1,6 +1,14 @@
 /**
  * Validation and form utilities
  */
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
 class ValidationUtils {
     /**
      * Validate email format
@@ -309,14 +317,12 @@ class ValidationUtils {
     }
 
     /**
-     * Escape HTML
+     * Escape HTML (also quotes, so the result is safe inside attribute values)
      * @param {string} str - String to escape
      * @returns {string} Escaped string
      */
     static escapeHtml(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        return String(str ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
     }
 
     /**
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FORMAT, BACKUP_VERSION, BackupError, createBackup, readBackup } from '../js/modules/backupManager.js';
+import { SongRepository } from '../js/modules/songRepository.js';
+
+const song = (fields = {}) => ({
+    id: 's1',
+    artistName: 'Soda Stereo',
+    songName: 'De música ligera',
+    youtubeLink: '',
+    state: 'Aprobado',
+    type: 'Movido',
+    comments: '',
+    createdAt: '2024-01-01T10:00:00.000Z',
+    updatedAt: '2024-01-02T10:00:00.000Z',
+    ...fields
+});
+
+test('una copia recién creada se lee sin migrar', () => {
+    const data = JSON.parse(JSON.stringify(createBackup([song({ updatedAt: new Date('2024-01-02T10:00:00Z') })])));
+    const { backup, migratedFrom } = readBackup(data);
+
+    assert.equal(migratedFrom, null);
+    assert.equal(backup.version, BACKUP_VERSION);
+    assert.equal(backup.songs[0].updatedAt, '2024-01-02T10:00:00.000Z');
+});
+
+test('migra el formato antiguo de exportData (versión 1.0) completando los campos que faltan', () => {
+    const { backup, migratedFrom } = readBackup({
+        exportDate: '2023-05-01T00:00:00.000Z',
+        version: '1.0',
+        songs: [{ id: 'old', artistName: 'Charly García', songName: 'Demoliendo hoteles' }]
+    });
+
+    assert.equal(migratedFrom, 1);
+    assert.equal(backup.format, BACKUP_FORMAT);
+    assert.equal(backup.exportedAt, '2023-05-01T00:00:00.000Z');
+    assert.deepEqual(backup.songs[0], {
+        id: 'old',
+        artistName: 'Charly García',
+        songName: 'Demoliendo hoteles',
+        youtubeLink: '',
+        comments: '',
+        state: 'Por aprobar',
+        type: 'Lento',
+        createdAt: null,
+        updatedAt: null
+    });
+});
+
+test('rechaza archivos que no son copias y versiones más nuevas que la admitida', () => {
+    assert.throws(() => readBackup(null), BackupError);
+    assert.throws(() => readBackup({ foo: 1 }), /no es una copia de seguridad/);
+    assert.throws(() => readBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, songs: [] }), /más nueva/);
+});
+
+test('enumera los problemas de cada canción al validar', () => {
+    const data = createBackup([song(), song({ state: 'Inventado', songName: ' ' })]);
+    data.songs[1].updatedAt = 'no es fecha';
+
+    assert.throws(() => readBackup(data), (error) => {
+        assert.ok(error instanceof BackupError);
+        assert.deepEqual(error.errors, [
+            'Canción 2: el ID "s1" está repetido',
+            'Canción 2: falta el nombre',
+            'Canción 2: estado desconocido "Inventado"',
+            'Canción 2: "updatedAt" no es una fecha válida'
+        ]);
+        return true;
+    });
+});
+
+test('al fusionar solo escribe las canciones nuevas o más recientes en la copia', () => {
+    const repository = new SongRepository();
+    const current = [song({ id: 'a' }), song({ id: 'b' }), song({ id: 'c' })];
+    const backup = [
+        song({ id: 'a', updatedAt: '2024-01-01T00:00:00.000Z' }),
+        song({ id: 'b', updatedAt: '2024-02-01T00:00:00.000Z' }),
+        song({ id: 'd' })
+    ];
+
+    const { writes, removals, summary } = repository.planBackupRestore(current, backup, false);
+
+    assert.deepEqual(writes.map(write => [write.song.id, write.before && write.before.id]), [['b', 'b'], ['d', null]]);
+    assert.deepEqual(removals, []);
+    assert.deepEqual(summary, { added: 1, updated: 1, removed: 0 });
+});
+
+test('al reemplazar escribe toda la copia y elimina lo que no está en ella', () => {
+    const repository = new SongRepository();
+    const current = [song({ id: 'a' }), song({ id: 'c' })];
+    const backup = [song({ id: 'a', updatedAt: '2020-01-01T00:00:00.000Z' }), song({ id: 'd' })];
+
+    const { writes, removals, summary } = repository.planBackupRestore(current, backup, true);
+
+    assert.deepEqual(writes.map(write => write.song.id), ['a', 'd']);
+    assert.deepEqual(removals.map(removed => removed.id), ['c']);
+    assert.deepEqual(summary, { added: 1, updated: 1, removed: 1 });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParseError, CSVParser, parseCSVText } from '../js/modules/csvParser.js';
+
+const values = (records) => records.map(record => record.values);
+
+test('separa campos y registros con LF, CRLF y CR', () => {
+    assert.deepEqual(values(parseCSVText('a,b\nc,d\r\ne,f\rg,h')), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+});
+
+test('admite comillas dobles, delimitadores y saltos de línea dentro de campos entre comillas', () => {
+    const records = parseCSVText('"Dijo ""hola""","a,b"\n"dos\r\nlíneas",x\nfin,y');
+
+    assert.deepEqual(values(records), [['Dijo "hola"', 'a,b'], ['dos\r\nlíneas', 'x'], ['fin', 'y']]);
+    // El registro que sigue a un campo de varias líneas empieza en la línea correcta
+    assert.deepEqual(records.map(record => record.line), [1, 2, 4]);
+});
+
+test('quita la marca BOM y omite las líneas en blanco', () => {
+    assert.deepEqual(values(parseCSVText('\uFEFFa,b\n\n\nc,d\n')), [['a', 'b'], ['c', 'd']]);
+});
+
+test('conserva los campos vacíos', () => {
+    assert.deepEqual(values(parseCSVText(',a,\n""')), [['', 'a', ''], ['']]);
+});
+
+test('usa el delimitador indicado', () => {
+    assert.deepEqual(values(parseCSVText('a;"b;c";d,e', { delimiter: ';' })), [['a', 'b;c', 'd,e']]);
+});
+
+test('da el mismo resultado leyendo por fragmentos, aunque un CRLF quede partido', () => {
+    const parser = new CSVParser();
+    const records = [...parser.write('a,"b\r'), ...parser.write('\nc"\r'), ...parser.write('\nd,e'), ...parser.end()];
+
+    assert.deepEqual(values(records), [['a', 'b\r\nc'], ['d', 'e']]);
+    assert.deepEqual(records.map(record => record.line), [1, 3]);
+});
+
+test('informa la línea y la columna de los errores de formato', () => {
+    assert.throws(() => parseCSVText('a,b\nc,"d'), (error) => {
+        assert.ok(error instanceof CSVParseError);
+        assert.equal(error.line, 2);
+        assert.equal(error.column, 3);
+        return true;
+    });
+    assert.throws(() => parseCSVText('"a"x'), { name: 'CSVParseError', line: 1, column: 4 });
+    assert.throws(() => parseCSVText('a"b'), { name: 'CSVParseError', line: 1, column: 2 });
+});
@@ -0,0 +1,61 @@
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateScore, findDuplicatePairs, findSimilarSongs, similarity, songMatchKey } from '../js/modules/duplicateManager.js';
+
+test('similarity va de 0 a 1 según la distancia de edición', () => {
+    assert.equal(similarity('hola', 'hola'), 1);
+    assert.equal(similarity('', 'hola'), 0);
+    assert.equal(similarity('gato', 'pato'), 0.75);
+    assert.equal(similarity('kitten', 'sitting'), 1 - 3 / 7);
+});
+
+test('songMatchKey quita acentos, puntuación, colaboraciones y sufijos de versión', () => {
+    assert.equal(songMatchKey('  Canción   Animal! '), 'cancion animal');
+    assert.equal(songMatchKey('Despacito (feat. Justin Bieber)'), 'despacito');
+    assert.equal(songMatchKey('Despacito feat. Justin Bieber'), 'despacito');
+    assert.equal(songMatchKey('Yesterday - Remastered 2009'), 'yesterday');
+    assert.equal(songMatchKey('Hey Jude [Live] (with Someone)'), 'hey jude');
+});
+
+test('songMatchKey conserva "con" y "with" cuando forman parte del título', () => {
+    assert.equal(songMatchKey('Bailando con lobos'), 'bailando con lobos');
+    assert.equal(songMatchKey('Dancing - With Wolves'), 'dancing with wolves');
+    assert.equal(songMatchKey('Nada (con amigos) de nada'), 'nada con amigos de nada');
+});
+
+test('duplicateScore reconoce la misma canción con erratas y colaboraciones', () => {
+    const original = { artistName: 'Los Fabulosos Cadillacs', songName: 'Matador' };
+
+    assert.ok(duplicateScore(original, { artistName: 'Los Fabulosos Cadillacs feat. Otro', songName: 'Matador (En vivo)' }) >= 0.85);
+    assert.ok(duplicateScore(original, { artistName: 'Fabulosos Cadillacs', songName: 'Matadorr' }) >= 0.85);
+    assert.equal(duplicateScore(original, { artistName: 'Los Fabulosos Cadillacs', songName: 'Mal bicho' }), 0);
+});
+
+test('findSimilarSongs devuelve solo las parecidas y excluye la canción indicada', () => {
+    const songs = [
+        { id: '1', artistName: 'Soda Stereo', songName: 'Persiana americana' },
+        { id: '2', artistName: 'Soda Stereo', songName: 'Persiana americanas' },
+        { id: '3', artistName: 'Soda Stereo', songName: 'Cuando pase el temblor' }
+    ];
+
+    const matches = findSimilarSongs(songs[0], songs, { excludeId: '1' });
+
+    assert.deepEqual(matches.map(match => match.song.id), ['2']);
+});
+
+test('findDuplicatePairs encuentra los pares aunque difiera la primera o la última letra del título', () => {
+    const songs = [
+        { id: '1', artistName: 'Sui Generis', songName: 'Rasguña las piedras' },
+        { id: '2', artistName: 'Sui Generis', songName: 'Rasguna las piedras (En vivo)' },
+        { id: '3', artistName: 'Sui Generis', songName: 'Canción para mi muerte' },
+        { id: '4', artistName: 'Sui Generis', songName: 'Xanción para mi muerte' },
+        { id: '5', artistName: 'Sui Generis', songName: 'Cancion para mi muertx' },
+        { id: '6', artistName: 'Otro', songName: 'Bailando con lobos' }
+    ];
+
+    const pairs = findDuplicatePairs(songs).map(pair => [pair.a.id, pair.b.id].sort().join('-')).sort();
+
+    // 4 y 5 difieren en la primera y en la última letra a la vez: no se comparan
+    assert.deepEqual(pairs, ['1-2', '3-4', '3-5']);
+});
@@ -0,0 +1,3 @@
+// Los módulos de utilidades registran listeners en document al cargarse; en Node basta con que exista.
+// Se importa antes que cualquier módulo de la aplicación que dependa de ellos.
+globalThis.document ??= { addEventListener() {} };
@@ -0,0 +1,89 @@
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuerySyntaxError, getFieldSelection, matchesQuery, parseQuery, setFieldSelection } from '../js/modules/searchQuery.js';
+
+// Solo la forma del árbol, sin posiciones
+function shape(node) {
+    if (!node) return node;
+    if (node.type === 'term') return { field: node.field, values: node.values };
+    if (node.type === 'not') return { not: shape(node.child) };
+    return { [node.type]: node.children.map(shape) };
+}
+
+test('una consulta vacía no filtra', () => {
+    assert.equal(parseQuery('   '), null);
+    assert.equal(matchesQuery(null, {}), true);
+});
+
+test('los términos sueltos se combinan con Y y se normalizan', () => {
+    assert.deepEqual(shape(parseQuery('Canción  "Los Ángeles"')), {
+        and: [{ field: null, values: ['cancion'] }, { field: null, values: ['los angeles'] }]
+    });
+});
+
+test('reconoce campos, valores entre comillas y varias opciones separadas por comas', () => {
+    assert.deepEqual(shape(parseQuery('artista:"Los Ángeles Azules" estado:listo,aprobado -tipo:lento')), {
+        and: [
+            { field: 'artistName', values: ['los angeles azules'] },
+            { field: 'state', values: ['Listo', 'Aprobado'] },
+            { not: { field: 'type', values: ['Lento'] } }
+        ]
+    });
+    // Un valor parcial se completa con los admitidos
+    assert.deepEqual(shape(parseQuery('estado:grabacion')), { field: 'state', values: ['En grabación'] });
+});
+
+test('OR tiene menos precedencia que Y y los paréntesis agrupan', () => {
+    assert.deepEqual(shape(parseQuery('a b OR c | (d -e)')), {
+        or: [
+            { and: [{ field: null, values: ['a'] }, { field: null, values: ['b'] }] },
+            { field: null, values: ['c'] },
+            { and: [{ field: null, values: ['d'] }, { not: { field: null, values: ['e'] } }] }
+        ]
+    });
+});
+
+test('un enlace con "://" es un término y no un campo', () => {
+    assert.deepEqual(shape(parseQuery('https://youtu.be/abc')), { field: null, values: ['https://youtu.be/abc'] });
+});
+
+test('los errores de sintaxis indican la posición', () => {
+    const cases = [
+        ['artista:"abc', 8],
+        ['color:rojo', 0],
+        ['estado:inventado', 0],
+        ['a OR', 2],
+        ['(a b', 0],
+        ['a)', 1],
+        ['a - b', 2],
+        ['tipo:', 0]
+    ];
+    cases.forEach(([query, position]) => {
+        assert.throws(() => parseQuery(query), (error) => {
+            assert.ok(error instanceof QuerySyntaxError, query);
+            assert.equal(error.position, position, query);
+            return true;
+        });
+    });
+});
+
+test('matchesQuery evalúa Y, OR, negación y campos de lista cerrada', () => {
+    const song = { artistName: 'Soda Stereo', songName: 'Música ligera', state: 'Listo', type: 'Movido', comments: 'en Re' };
+
+    assert.equal(matchesQuery(parseQuery('soda musica'), song), true);
+    assert.equal(matchesQuery(parseQuery('soda -ligera'), song), false);
+    assert.equal(matchesQuery(parseQuery('cerati OR artista:soda'), song), true);
+    assert.equal(matchesQuery(parseQuery('estado:listo tipo:lento'), song), false);
+    assert.equal(matchesQuery(parseQuery('comentario:re'), song), true);
+});
+
+test('getFieldSelection y setFieldSelection reflejan las casillas en la consulta', () => {
+    assert.deepEqual(getFieldSelection(parseQuery('soda estado:listo,aprobado'), 'state'), ['Listo', 'Aprobado']);
+    // Dentro de un OR el filtro no afecta a toda la consulta
+    assert.deepEqual(getFieldSelection(parseQuery('soda OR estado:listo'), 'state'), []);
+
+    assert.equal(setFieldSelection('soda estado:listo', 'state', ['En grabación', 'Aprobado']), 'soda estado:"En grabación",Aprobado');
+    assert.equal(setFieldSelection('soda estado:listo tipo:lento', 'state', []), 'soda tipo:lento');
+    assert.equal(setFieldSelection('', 'type', ['Lento']), 'tipo:Lento');
+});
@@ -0,0 +1,52 @@
+import './helpers/browserGlobals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightMatches, parseQuery, searchSongs } from '../js/modules/searchQuery.js';
+
+const songs = [
+    { id: 'comment', artistName: 'Fito Páez', songName: 'Mariposa tecknicolor', comments: 'como amor después del amor' },
+    { id: 'artist', artistName: 'Amor Amarillo', songName: 'Ciudad', comments: '' },
+    { id: 'title', artistName: 'Soda Stereo', songName: 'Amor clandestino', comments: '' },
+    { id: 'prefix', artistName: 'Luis Miguel', songName: 'Amorcito corazón', comments: '' },
+    { id: 'none', artistName: 'Charly García', songName: 'Los dinosaurios', comments: '' }
+];
+
+const ids = (results) => results.map(result => result.song.id);
+
+test('ordena por relevancia: título, luego artista y luego comentarios', () => {
+    assert.deepEqual(ids(searchSongs(parseQuery('amor'), songs)), ['title', 'prefix', 'artist', 'comment']);
+});
+
+test('sin términos de texto conserva el orden recibido', () => {
+    const withStates = songs.map((song, index) => ({ ...song, state: index % 2 ? 'Listo' : 'Aprobado' }));
+
+    assert.deepEqual(ids(searchSongs(parseQuery('estado:aprobado'), withStates)), ['comment', 'title', 'none']);
+    assert.deepEqual(ids(searchSongs(null, songs)), songs.map(song => song.id));
+});
+
+test('tolera errores de escritura según la longitud de lo buscado', () => {
+    // "dinosuarios" (dos letras cambiadas) admite dos errores; "amro" (4 letras) solo uno
+    assert.deepEqual(ids(searchSongs(parseQuery('dinosuarios'), songs)), ['none']);
+    assert.deepEqual(ids(searchSongs(parseQuery('clandestni'), songs)), ['title']);
+    assert.deepEqual(ids(searchSongs(parseQuery('amr'), songs)), []);
+});
+
+test('devuelve los tramos a resaltar en el texto original, con acentos', () => {
+    const [result] = searchSongs(parseQuery('paez mariposa'), songs);
+
+    assert.deepEqual(result.highlights, { artistName: [[5, 9]], songName: [[0, 8]] });
+    assert.equal(highlightMatches(songs[0].artistName, result.highlights.artistName), 'Fito <mark class="bg-yellow-200 rounded-sm">Páez</mark>');
+});
+
+test('los términos negados filtran pero no puntúan ni se resaltan', () => {
+    const plain = searchSongs(parseQuery('amor'), songs).filter(result => result.song.id !== 'title');
+    const negated = searchSongs(parseQuery('amor -"amor clandestino"'), songs);
+
+    assert.deepEqual(negated.map(({ song, score, highlights }) => ({ id: song.id, score, highlights })),
+        plain.map(({ song, score, highlights }) => ({ id: song.id, score, highlights })));
+});
+
+test('highlightMatches une tramos solapados y escapa el HTML', () => {
+    assert.equal(highlightMatches('<a> & "b"', [[0, 3], [2, 5]]), '<mark class="bg-yellow-200 rounded-sm">&lt;a&gt; &amp;</mark> &quot;b&quot;');
+    assert.equal(highlightMatches(null), '');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeSort, formatSortParam, parseSortParam, sortSongs } from '../js/modules/sortManager.js';
+
+const songs = [
+    { id: '1', artistName: 'Soda Stereo', songName: 'Trátame suavemente', state: 'Rechazado', type: 'Lento', createdAt: '2024-03-01T00:00:00.000Z' },
+    { id: '2', artistName: 'árbol', songName: 'El fantasma', state: 'Listo', type: 'Movido', createdAt: null },
+    { id: '3', artistName: 'Charly García', songName: 'Yendo de la cama al living', state: 'Por aprobar', type: 'Movido', createdAt: { seconds: 1704067200, nanoseconds: 0 } },
+    { id: '4', artistName: 'Soda Stereo', songName: 'En la ciudad de la furia', state: 'Aprobado', type: 'Lento', createdAt: '2024-02-01T00:00:00.000Z' },
+    { id: '5', artistName: 'Charly García', songName: 'Canción 10', state: 'Listo', type: 'Lento', createdAt: '2024-02-01T00:00:00.000Z' },
+    { id: '6', artistName: 'Charly García', songName: 'Canción 9', state: 'Aprobado', type: 'Movido' }
+];
+
+const ids = (sorted) => sorted.map(song => song.id);
+
+test('sin claves devuelve la lista tal cual', () => {
+    assert.equal(sortSongs(songs, []), songs);
+});
+
+test('el estado sigue el flujo de trabajo y "Rechazado" va al final', () => {
+    assert.deepEqual(ids(sortSongs(songs, [{ key: 'state', direction: 'asc' }])), ['3', '4', '6', '2', '5', '1']);
+    assert.deepEqual(ids(sortSongs(songs, [{ key: 'state', direction: 'desc' }])), ['1', '2', '5', '4', '6', '3']);
+});
+
+test('el texto se compara sin distinguir mayúsculas ni acentos y con los números en orden natural', () => {
+    assert.deepEqual(ids(sortSongs(songs, [{ key: 'artistName', direction: 'asc' }, { key: 'songName', direction: 'asc' }])),
+        ['2', '6', '5', '3', '4', '1']);
+});
+
+test('las claves siguientes solo desempatan y cada una tiene su dirección', () => {
+    assert.deepEqual(ids(sortSongs(songs, [{ key: 'type', direction: 'asc' }, { key: 'artistName', direction: 'desc' }])),
+        ['3', '6', '2', '1', '4', '5']);
+});
+
+test('las fechas admiten timestamps y las que faltan van primero en orden ascendente', () => {
+    // Los empates (sin fecha, o la misma fecha) conservan el orden recibido
+    assert.deepEqual(ids(sortSongs(songs, [{ key: 'createdAt', direction: 'asc' }])), ['2', '6', '3', '4', '5', '1']);
+});
+
+test('parseSortParam ignora columnas desconocidas y repetidas', () => {
+    assert.deepEqual(parseSortParam(' state , -artistName,color,-state,'), [
+        { key: 'state', direction: 'asc' },
+        { key: 'artistName', direction: 'desc' }
+    ]);
+    assert.deepEqual(parseSortParam(null), []);
+});
+
+test('formatSortParam y parseSortParam son inversas', () => {
+    const sortKeys = [{ key: 'updatedAt', direction: 'desc' }, { key: 'songName', direction: 'asc' }];
+
+    assert.equal(formatSortParam(sortKeys), '-updatedAt,songName');
+    assert.deepEqual(parseSortParam(formatSortParam(sortKeys)), sortKeys);
+});
+
+test('describeSort muestra las columnas con su dirección', () => {
+    assert.equal(describeSort([{ key: 'state', direction: 'asc' }, { key: 'artistName', direction: 'desc' }]),
+        'Estado (ascendente), Artista (descendente)');
+    assert.equal(describeSort([]), '');
+});